@@ -5,10 +5,36 @@
  * then sends those PDFs to Claude API for processing and analysis.
  *
  * Features:
- * - IMAP email polling with configurable interval
- * - PDF attachment extraction
+ * - IMAP IDLE push mode (falls back to interval polling when IDLE is unavailable)
+ * - Multiple mailbox sources (accounts and folders) in one worker
+ * - Automatic IMAP reconnection with exponential backoff
+ * - UID checkpointing per mailbox (restarts resume where they left off)
+ * - Emails are acknowledged only after every PDF reaches NetSuite (partial failures are retried)
+ * - PDF attachment extraction, detected by file signature rather than MIME type
+ *   (including PDFs inside forwarded .eml attachments and ZIP archives)
  * - Direct PDF processing with Claude API (supports base64 PDFs natively)
- * - Email marking as read/processed
+ * - Scanned JPEG/PNG/TIFF attachments sent as images and converted to PDF for NetSuite
+ * - Invoice PDFs linked from the email body downloaded for portal-only vendors
+ * - HTML email bodies treated as the document (rendered to PDF) for vendors that send no PDF
+ * - Local drop-folder source (subfolder per processor) for PDFs that arrive outside email
+ * - Authenticated HTTP API for submitting PDFs, with job status polling
+ * - Inbound-mail webhook receiver (Mailgun routes, SendGrid Inbound Parse) with signature checks
+ * - Processors from NetSuite records and/or a local YAML/JSON file (validated, hot-reloaded)
+ * - Last-known-good NetSuite config snapshot (hash-verified) for cold starts while NetSuite is down
+ * - Processor matching rules (regex/glob/domain on headers, body and attachment names,
+ *   AND/OR/NOT, priorities) with a logged explanation per rule
+ * - Per-attachment routing (filename filters) with fan-out to several processors,
+ *   including archive-only processors that skip extraction
+ * - Email disposition after processing (mark read, move/copy to Processed/Failed/Unmatched)
+ * - Sender authentication (SPF/DKIM/DMARC via Authentication-Results/ARC, optional local
+ *   DKIM check) with quarantine for processors that require it
+ * - Persistent dedup index (Message-ID + PDF SHA-256) so resent/re-read mail is not paid for twice
+ * - PDF pre-flight with pdf-lib (decrypts with per-vendor passwords, rejects corrupt files,
+ *   splits oversized PDFs) before the Claude request
+ * - Content classification (credit memo / invoice / statement) routing each PDF to a
+ *   processor when one sender mixes document types
+ * - Vendor notifications over SMTP (receipts, threaded exception replies, weekly statements)
+ * - Unmatched email store with suggested processors, a daily digest and a replay command
  * - Detailed logging
  *
  * Setup:
@@ -22,10 +48,27 @@ const Imap = require('imap');
 const { simpleParser } = require('mailparser');
 const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
+const os = require('os');
 const OAuth = require('oauth-1.0a');
 const crypto = require('crypto');
 const axios = require('axios');
+const yauzl = require('yauzl');
+const UTIF = require('utif');
+const { PNG } = require('pngjs');
+const { PDFDocument, StandardFonts } = require('@cantoo/pdf-lib'); // pdf-lib fork that can decrypt
+const { PDFParse } = require('pdf-parse');
+const { convert: htmlToText } = require('html-to-text');
+const nodemailer = require('nodemailer');
+const addressparser = require('nodemailer/lib/addressparser');
+const YAML = require('yaml');
+const { dkimVerify } = require('mailauth/lib/dkim/verify');
+const { createApi } = require('./lib/api');
+const { createDropFolder } = require('./lib/drop-folder');
+const { createNetSuiteSnapshot } = require('./lib/netsuite-snapshot');
+const { createUnmatchedStore } = require('./lib/unmatched-store');
+const { WEBHOOK_PROVIDERS, createWebhooks } = require('./lib/webhooks');
 
 // Log SDK version on startup to verify Railway deployment
 try {
@@ -35,8 +78,9 @@ try {
   console.log('⚠️ Could not read SDK version:', err.message);
 }
 
-// Email Processor Rules - Loaded dynamically from NetSuite (or fallback to hardcoded)
-// Will be populated by fetchNetSuiteConfigs() on startup and every 10 minutes
+// Email Processor Rules - Loaded dynamically from NetSuite and/or PROCESSORS_FILE
+// (or fallback to hardcoded). Populated by applyProcessorSources() on startup,
+// every NetSuite refresh (10 minutes) and every processor file change
 let EMAIL_PROCESSORS = [
   {
     name: 'marcone_credits',
@@ -54,6 +98,9 @@ let EMAIL_PROCESSORS = [
   // More processors will be loaded from NetSuite AP Assist Vendor Configuration records
 ];
 
+// Fixed label set for document classification (CLASSIFY_RULES)
+const DOCUMENT_LABELS = ['credit_memo', 'invoice', 'statement', 'other'];
+
 // Configuration from environment variables
 const CONFIG = {
   // IMAP Settings
@@ -63,7 +110,14 @@ const CONFIG = {
     host: process.env.IMAP_HOST,
     port: parseInt(process.env.IMAP_PORT || '993'),
     tls: process.env.IMAP_TLS !== 'false',
-    tlsOptions: { rejectUnauthorized: false }
+    tlsOptions: { rejectUnauthorized: false },
+    // node-imap issues IDLE automatically when the connection is quiet and
+    // re-issues it every idleInterval (servers drop IDLE after ~30 minutes)
+    keepalive: {
+      interval: 10000,
+      idleInterval: parseInt(process.env.IDLE_REFRESH_MS || '300000'),
+      forceNoop: false
+    }
   },
 
   // Claude API Settings
@@ -75,10 +129,150 @@ const CONFIG = {
 
   // Processing Settings
   polling: {
-    intervalMs: parseInt(process.env.POLL_INTERVAL_MS || '60000'), // Check every 60 seconds
+    mode: (process.env.POLL_MODE || 'idle').toLowerCase(), // idle (push via IMAP IDLE) or interval
+    intervalMs: parseInt(process.env.POLL_INTERVAL_MS || '60000'), // Check every 60 seconds (interval mode / IDLE fallback)
     markAsRead: process.env.MARK_AS_READ !== 'false',
     mailbox: process.env.IMAP_MAILBOX || 'INBOX',
-    searchCriteria: process.env.SEARCH_CRITERIA || 'UNSEEN' // UNSEEN, ALL, or custom
+    searchCriteria: process.env.SEARCH_CRITERIA || 'UNSEEN', // UNSEEN, ALL, or custom
+    maxEmailAttempts: parseInt(process.env.MAX_EMAIL_ATTEMPTS || '3'), // Attempts before an email is filed as failed
+    retryDelayMs: parseInt(process.env.EMAIL_RETRY_DELAY_MS || '900000') // Re-check delay while emails await retry (15 min)
+  },
+
+  // IMAP reconnect backoff (exponential with jitter)
+  reconnect: {
+    baseDelayMs: parseInt(process.env.RECONNECT_BASE_DELAY_MS || '5000'),
+    maxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS || '300000')
+  },
+
+  // Where messages are filed after the pipeline finishes
+  disposition: {
+    action: process.env.DISPOSITION_ACTION || 'none', // move, copy, or none
+    folders: {
+      processed: process.env.DISPOSITION_PROCESSED_FOLDER ?? 'Processed',
+      failed: process.env.DISPOSITION_FAILED_FOLDER ?? 'Failed',
+      unmatched: process.env.DISPOSITION_UNMATCHED_FOLDER ?? 'Unmatched',
+      quarantined: process.env.DISPOSITION_QUARANTINE_FOLDER ?? 'Quarantine'
+    }
+  },
+
+  // Sender authentication (SPF/DKIM/DMARC) for processors that require it
+  senderAuth: {
+    requiredProcessors: (process.env.SENDER_AUTH_REQUIRED_PROCESSORS || '').split(',').map(name => name.trim()).filter(Boolean),
+    trustedAuthServIds: (process.env.SENDER_AUTH_SERV_IDS || '').split(',').map(id => id.trim().toLowerCase()).filter(Boolean),
+    verifyDkim: process.env.SENDER_AUTH_VERIFY_DKIM === 'true' // Verify DKIM signatures locally (DNS lookups)
+  },
+
+  // Per-attachment document classification for senders whose emails mix
+  // credit memos, invoices and statements
+  classification: {
+    model: process.env.CLASSIFY_MODEL || 'claude-haiku-4-5-20251001', // Cheap model - only a label is needed
+    minTextChars: parseInt(process.env.CLASSIFY_MIN_TEXT_CHARS || '200'), // Less text = scan, send the first page instead
+    maxTextChars: parseInt(process.env.CLASSIFY_MAX_TEXT_CHARS || '8000') // Text-layer excerpt sent to Claude
+  },
+
+  // Scanned image attachments (JPEG/PNG/TIFF) processed as invoices
+  images: {
+    enabled: process.env.PROCESS_IMAGE_ATTACHMENTS !== 'false',
+    minBytes: parseInt(process.env.IMAGE_MIN_BYTES || '20480') // Smaller images are logos/signatures, not scans
+  },
+
+  // ZIP attachment limits (guard against zip bombs)
+  zip: {
+    maxEntries: parseInt(process.env.ZIP_MAX_ENTRIES || '100'),
+    maxEntryBytes: parseInt(process.env.ZIP_MAX_ENTRY_BYTES || '26214400'), // 25 MB per file
+    maxTotalBytes: parseInt(process.env.ZIP_MAX_TOTAL_BYTES || '104857600') // 100 MB per archive
+  },
+
+  // PDF pre-flight limits (checked before the Claude request)
+  pdf: {
+    maxBytes: parseInt(process.env.PDF_MAX_BYTES || '20971520'), // 20 MB - larger PDFs are split (Claude requests cap at 32 MB after base64)
+    maxPages: parseInt(process.env.PDF_MAX_PAGES || '100') // Claude's per-document page limit
+  },
+
+  // Invoice PDFs linked from the email body ("View your credit memo")
+  links: {
+    enabled: process.env.DOWNLOAD_LINKED_PDFS !== 'false',
+    allowedDomains: (process.env.LINK_ALLOWED_DOMAINS || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean),
+    maxBytes: parseInt(process.env.LINK_MAX_BYTES || '26214400'), // 25 MB per download
+    timeoutMs: parseInt(process.env.LINK_TIMEOUT_MS || '30000'),
+    maxLinks: parseInt(process.env.LINK_MAX_PER_EMAIL || '10'),
+    maxRedirects: 5
+  },
+
+  // Processors whose vendors put the credit memo in the email body itself
+  bodyDocuments: {
+    processors: (process.env.BODY_DOCUMENT_PROCESSORS || '').split(',').map(name => name.trim()).filter(Boolean)
+  },
+
+  // Local drop folder watched as an alternative to email
+  dropFolder: {
+    dir: process.env.DROP_FOLDER_DIR || null, // Disabled unless set
+    pollIntervalMs: parseInt(process.env.DROP_FOLDER_POLL_MS || '10000'),
+    settleMs: parseInt(process.env.DROP_FOLDER_SETTLE_MS || '5000'), // Files modified more recently may still be copying
+    workerId: process.env.DROP_FOLDER_WORKER_ID || os.hostname() // Names this worker's .processing subdirectory
+  },
+
+  // HTTP API for submitting documents (internal tools, automations)
+  api: {
+    port: process.env.API_PORT ? parseInt(process.env.API_PORT) : null, // Disabled unless set
+    host: process.env.API_HOST || '0.0.0.0',
+    token: process.env.API_TOKEN,
+    maxFiles: parseInt(process.env.API_MAX_FILES || '20'),
+    maxFileBytes: parseInt(process.env.API_MAX_FILE_BYTES || '26214400'), // 25 MB per file
+    jobRetentionMs: parseInt(process.env.API_JOB_RETENTION_MS || '86400000') // Finished jobs kept for status polling (24h)
+  },
+
+  // Inbound-mail webhooks, served on the HTTP API port
+  webhooks: {
+    mailgunSigningKey: process.env.MAILGUN_WEBHOOK_SIGNING_KEY, // Enables POST /webhooks/mailgun
+    sendgridPublicKey: process.env.SENDGRID_WEBHOOK_PUBLIC_KEY, // Enables POST /webhooks/sendgrid
+    maxAgeMs: parseInt(process.env.WEBHOOK_MAX_AGE_MS || '300000'), // Signature timestamp tolerance (5 min)
+    maxBodyBytes: parseInt(process.env.WEBHOOK_MAX_BODY_BYTES || '52428800'), // 50 MB per request
+    spoolDir: process.env.WEBHOOK_SPOOL_DIR || './state/webhook-spool' // Bodies of accepted emails until they are done
+  },
+
+  // Dedup index (Message-ID + PDF SHA-256), stored in the state file
+  dedup: {
+    enabled: process.env.DEDUP_ENABLED !== 'false',
+    override: process.env.DEDUP_OVERRIDE === 'true', // Reprocess duplicates on purpose
+    retentionDays: parseInt(process.env.DEDUP_RETENTION_DAYS || '365')
+  },
+
+  // Vendor notifications (receipts, exception replies, weekly statements)
+  notifications: {
+    transport: process.env.NOTIFY_TRANSPORT || 'smtp', // smtp, or file to write .eml files to outboxDir
+    from: process.env.NOTIFY_FROM || process.env.IMAP_USER,
+    templateDir: process.env.NOTIFY_TEMPLATE_DIR || './templates',
+    outboxDir: process.env.NOTIFY_OUTBOX_DIR || './outbox',
+    statementDay: (process.env.NOTIFY_STATEMENT_DAY || 'monday').toLowerCase(),
+    statementHour: parseInt(process.env.NOTIFY_STATEMENT_HOUR || '8'), // Local time
+    smtp: {
+      url: process.env.SMTP_URL, // e.g. smtp://localhost:1025 for a local SMTP catcher
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true', // true for port 465
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD
+    }
+  },
+
+  // Local processor config file (YAML or JSON) - alongside or instead of NetSuite records
+  processorFile: {
+    path: process.env.PROCESSORS_FILE || null,
+    merge: (process.env.PROCESSORS_MERGE || 'local-wins').toLowerCase(), // local-wins, netsuite-wins, local or netsuite
+    pollIntervalMs: parseInt(process.env.PROCESSORS_FILE_POLL_MS || '5000') // Hot-reload check
+  },
+
+  // Emails no processor matched: stored for the daily digest and replay
+  unmatched: {
+    dir: process.env.UNMATCHED_DIR ?? './unmatched', // Empty disables the store
+    digestTo: (process.env.UNMATCHED_DIGEST_TO || '').split(',').map(address => address.trim()).filter(Boolean),
+    digestHour: parseInt(process.env.UNMATCHED_DIGEST_HOUR || '7') // Local time
+  },
+
+  // Checkpoint state (UIDVALIDITY + last processed UID per mailbox)
+  state: {
+    file: process.env.STATE_FILE || './state/poller-state.json'
   },
 
   // Output Settings
@@ -100,35 +294,372 @@ const CONFIG = {
     tokenSecret: process.env.NETSUITE_TOKEN_SECRET,
     // Default fallback folder IDs
     defaultPdfFolderId: process.env.NETSUITE_PDF_FOLDER_ID,
-    defaultJsonFolderId: process.env.NETSUITE_JSON_FOLDER_ID
+    defaultJsonFolderId: process.env.NETSUITE_JSON_FOLDER_ID,
+    // Last-known-good configs, written on every successful fetch and loaded
+    // when NetSuite can't be reached at startup
+    snapshot: {
+      file: process.env.NETSUITE_SNAPSHOT_FILE ?? './state/netsuite-configs.json', // Empty disables
+      maxAgeHours: parseFloat(process.env.NETSUITE_SNAPSHOT_MAX_AGE_HOURS || '24'),
+      alertTo: (process.env.NETSUITE_ALERT_TO || '').split(',').map(address => address.trim()).filter(Boolean)
+    }
   },
 
   // Email processors
   processors: EMAIL_PROCESSORS
 };
 
+// Mailbox sources (accounts + folders) watched by this worker
+CONFIG.sources = buildMailboxSources();
+
+// Per-processor link-extraction rules for portal-only vendors
+CONFIG.links.rules = buildLinkRules();
+
+// Per-processor passwords for encrypted PDFs
+CONFIG.pdf.passwords = buildPdfPasswords();
+
+// Per-processor vendor notification settings
+CONFIG.notifications.rules = buildNotificationRules();
+
+// Per-processor matching rules (regex/glob/domain conditions, AND/OR, priority)
+CONFIG.matchRules = buildMatchRules();
+
+// Per-processor document classification routes
+CONFIG.classification.rules = buildClassificationRules();
+
+// Per-processor attachment filename filters and fan-out targets
+CONFIG.attachmentRoutes = buildAttachmentRoutes();
+
 // Initialize Claude API client
 const anthropic = new Anthropic({
   apiKey: CONFIG.claude.apiKey
 });
 
+/**
+ * Parses a JSON environment variable and passes each entry through validator
+ *
+ * Arrays are mapped with validator(entry, index) and objects (keyed by
+ * processor name) with validator(entry, key); the validator returns the
+ * built entry or throws naming the bad field.
+ *
+ * @returns {Array|Object|null} Built entries, or null when the variable is unset
+ */
+function parseJsonEnv(name, validator) {
+  if (!process.env[name]) {
+    return null;
+  }
+
+  let value;
+  try {
+    value = JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    throw new Error(`${name} must be a JSON object or array`);
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry, index) => validator(entry, index));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, validator(entry, key)]));
+}
+
+/**
+ * Builds the list of mailbox sources the worker watches
+ *
+ * Without MAILBOX_SOURCES the IMAP_* account and IMAP_MAILBOX folder are the
+ * only source (none when IMAP_USER is unset and DROP_FOLDER_DIR or API_PORT
+ * is used). MAILBOX_SOURCES is a JSON array; any field a source leaves out
+ * inherits the IMAP_* / SEARCH_CRITERIA / MARK_AS_READ / DISPOSITION_* values.
+ * passwordEnv names the environment variable holding that account's password,
+ * so secrets stay out of the JSON:
+ *
+ *   [{ "name": "ap-inbox" },
+ *    { "name": "marcone-folder", "mailbox": "Vendors/Marcone", "searchCriteria": "ALL" },
+ *    { "name": "sister-co", "user": "ap@sister.com", "passwordEnv": "SISTER_IMAP_PASSWORD",
+ *      "disposition": { "action": "move", "processedFolder": "Done" } }]
+ *
+ * @returns {Array<Object>} Sources ({ name, imap, mailbox, searchCriteria, markAsRead, disposition })
+ */
+function buildMailboxSources() {
+  if (!process.env.MAILBOX_SOURCES) {
+    // A drop-folder/API-only worker has no mailbox to watch
+    if (!CONFIG.imap.user && (CONFIG.dropFolder.dir || CONFIG.api.port)) {
+      return [];
+    }
+    return [buildMailboxSource({})];
+  }
+
+  const sources = parseJsonEnv('MAILBOX_SOURCES', entry => buildMailboxSource(entry));
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error('MAILBOX_SOURCES must be a non-empty JSON array');
+  }
+
+  return sources;
+}
+
+/**
+ * Fills in one mailbox source from its MAILBOX_SOURCES entry and the env defaults
+ */
+function buildMailboxSource(entry) {
+  const disposition = entry.disposition || {};
+  const user = entry.user || CONFIG.imap.user;
+  const mailbox = entry.mailbox || CONFIG.polling.mailbox;
+
+  return {
+    name: entry.name || `${user}/${mailbox}`,
+    imap: {
+      ...CONFIG.imap,
+      user,
+      password: entry.passwordEnv ? process.env[entry.passwordEnv] : (entry.password || CONFIG.imap.password),
+      host: entry.host || CONFIG.imap.host,
+      port: entry.port ? parseInt(entry.port) : CONFIG.imap.port,
+      tls: entry.tls ?? CONFIG.imap.tls
+    },
+    passwordEnv: entry.passwordEnv,
+    mailbox,
+    searchCriteria: entry.searchCriteria || CONFIG.polling.searchCriteria,
+    markAsRead: entry.markAsRead ?? CONFIG.polling.markAsRead,
+    disposition: {
+      action: disposition.action || CONFIG.disposition.action,
+      folders: {
+        processed: disposition.processedFolder ?? CONFIG.disposition.folders.processed,
+        failed: disposition.failedFolder ?? CONFIG.disposition.folders.failed,
+        unmatched: disposition.unmatchedFolder ?? CONFIG.disposition.folders.unmatched,
+        quarantined: disposition.quarantineFolder ?? CONFIG.disposition.folders.quarantined
+      }
+    }
+  };
+}
+
+/**
+ * Parses LINK_RULES, the per-processor rules for downloading invoices linked
+ * from the email body. Keys are processor names; patterns are regular
+ * expressions matched (case-insensitive) against each URL in the body, and
+ * allowedDomains defaults to LINK_ALLOWED_DOMAINS:
+ *
+ *   { "acme_credit_memo": { "patterns": ["^https://billing\\.acme\\.com/credits/\\d+/pdf"],
+ *                           "allowedDomains": ["billing.acme.com"] } }
+ *
+ * @returns {Object} Rules by processor name ({ patterns: RegExp[], allowedDomains })
+ */
+function buildLinkRules() {
+  return parseJsonEnv('LINK_RULES', (rule, processorName) => {
+    if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+      throw new Error(`LINK_RULES.${processorName} needs a non-empty patterns array`);
+    }
+
+    const allowedDomains = (rule.allowedDomains || CONFIG.links.allowedDomains).map(d => d.toLowerCase());
+    if (allowedDomains.length === 0) {
+      throw new Error(`LINK_RULES.${processorName} needs allowedDomains (or set LINK_ALLOWED_DOMAINS)`);
+    }
+
+    return {
+      patterns: rule.patterns.map(pattern => new RegExp(pattern, 'i')),
+      allowedDomains
+    };
+  }) || {};
+}
+
+/**
+ * Parses PDF_PASSWORDS: JSON keyed by processor name (or * for every
+ * processor), each value a password or an array of passwords to try
+ */
+function buildPdfPasswords() {
+  return parseJsonEnv('PDF_PASSWORDS', (value, processorName) => {
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length === 0 || list.some(password => typeof password !== 'string')) {
+      throw new Error(`PDF_PASSWORDS.${processorName} must be a password string or an array of them`);
+    }
+    return list;
+  }) || {};
+}
+
+/**
+ * Parses NOTIFY_RULES: JSON keyed by processor name, each value
+ * { events: ['receipt', 'exception', 'statement'], to, cc, bcc }
+ */
+function buildNotificationRules() {
+  const knownEvents = ['receipt', 'exception', 'statement'];
+  return parseJsonEnv('NOTIFY_RULES', (rule, processorName) => {
+    const events = rule.events || [];
+    const unknown = events.filter(event => !knownEvents.includes(event));
+    if (events.length === 0 || unknown.length > 0) {
+      throw new Error(`NOTIFY_RULES.${processorName}.events must list any of ${knownEvents.join(', ')}` +
+        (unknown.length > 0 ? ` (got ${unknown.join(', ')})` : ''));
+    }
+
+    return {
+      events,
+      to: rule.to || null, // Overrides the sender (e.g. vendor AP contact instead of a no-reply address)
+      cc: rule.cc || null,
+      bcc: rule.bcc || null
+    };
+  }) || {};
+}
+
+/**
+ * Parses MATCH_RULES: JSON keyed by processor name, each value
+ * { priority, match } where match is a rule tree (see compileMatchRule).
+ * A processor's rule replaces its from + subjectContains criteria.
+ */
+function buildMatchRules() {
+  return parseJsonEnv('MATCH_RULES', (rule, processorName) => {
+    if (!rule.match) {
+      throw new Error(`MATCH_RULES.${processorName} needs a match rule`);
+    }
+    return {
+      priority: Number(rule.priority) || 0,
+      match: compileMatchRule(rule.match, `MATCH_RULES.${processorName}.match`)
+    };
+  }) || {};
+}
+
+/**
+ * Parses CLASSIFY_RULES: JSON keyed by the processor a document was routed to,
+ * each value { routes: { <label>: <processor name> | 'ignore' }, minConfidence,
+ * lowConfidence }. Labels without a route stay with the matched processor.
+ */
+function buildClassificationRules() {
+  return parseJsonEnv('CLASSIFY_RULES', (rule, processorName) => {
+    const routes = rule.routes || {};
+    const unknown = Object.keys(routes).filter(label => !DOCUMENT_LABELS.includes(label));
+    if (Object.keys(routes).length === 0 || unknown.length > 0) {
+      throw new Error(`CLASSIFY_RULES.${processorName}.routes must map labels (${DOCUMENT_LABELS.join(', ')}) to a processor name or "ignore"` +
+        (unknown.length > 0 ? ` (got ${unknown.join(', ')})` : ''));
+    }
+
+    return {
+      routes,
+      minConfidence: rule.minConfidence !== undefined ? Number(rule.minConfidence) : 0.7,
+      lowConfidence: rule.lowConfidence || processorName // Where uncertain documents go
+    };
+  }) || {};
+}
+
+/**
+ * Parses ATTACHMENT_ROUTES: JSON keyed by processor name, each value
+ * { include: [globs], exclude: [globs], alsoSendTo: [processor names], extract }
+ */
+function buildAttachmentRoutes() {
+  return parseJsonEnv('ATTACHMENT_ROUTES', (route, processorName) =>
+    compileAttachmentRoute(route, `ATTACHMENT_ROUTES.${processorName}`)) || {};
+}
+
+/**
+ * Compiles one attachment route (ATTACHMENT_ROUTES entry or processor.attachments)
+ *
+ * include/exclude are filename globs (case-insensitive; a string is one
+ * glob). Without include every filename is accepted. alsoSendTo copies each
+ * document the processor receives to other processors; extract: false
+ * uploads the PDF without a Claude extraction (archive-only processors).
+ */
+function compileAttachmentRoute(route, location) {
+  const toList = (value, field) => {
+    const list = value === undefined ? [] : [].concat(value);
+    if (list.some(item => typeof item !== 'string' || !item)) {
+      throw new Error(`${location}.${field} must be a string or an array of strings`);
+    }
+    return list;
+  };
+
+  const include = toList(route.include, 'include');
+  const exclude = toList(route.exclude, 'exclude');
+  return {
+    include: include.length > 0 ? include.map(glob => globToRegExp(glob, 'i')) : null,
+    exclude: exclude.map(glob => globToRegExp(glob, 'i')),
+    alsoSendTo: toList(route.alsoSendTo, 'alsoSendTo'),
+    extract: route.extract !== false,
+    description: [
+      include.length > 0 ? `include ${include.join(', ')}` : null,
+      exclude.length > 0 ? `exclude ${exclude.join(', ')}` : null
+    ].filter(Boolean).join('; ')
+  };
+}
+
 /**
  * Validates configuration and checks for missing required values
  */
 function validateConfig() {
-  const required = {
-    'IMAP_USER': CONFIG.imap.user,
-    'IMAP_PASSWORD': CONFIG.imap.password,
-    'IMAP_HOST': CONFIG.imap.host,
-    'ANTHROPIC_API_KEY': CONFIG.claude.apiKey
-  };
+  if (!CONFIG.claude.apiKey) {
+    throw new Error('Missing required environment variables: ANTHROPIC_API_KEY');
+  }
+
+  const seenNames = new Set();
+  for (const source of CONFIG.sources) {
+    const required = {
+      'IMAP_USER': source.imap.user,
+      [source.passwordEnv || 'IMAP_PASSWORD']: source.imap.password,
+      'IMAP_HOST': source.imap.host
+    };
+
+    const missing = Object.entries(required)
+      .filter(([key, value]) => !value)
+      .map(([key]) => key);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required settings for mailbox source "${source.name}": ${missing.join(', ')}`);
+    }
+
+    if (seenNames.has(source.name)) {
+      throw new Error(`Duplicate mailbox source name: ${source.name}`);
+    }
+    seenNames.add(source.name);
+  }
+
+  if (CONFIG.sources.length === 0 && !CONFIG.dropFolder.dir && !CONFIG.api.port) {
+    throw new Error('No sources configured: set IMAP_USER (or MAILBOX_SOURCES), DROP_FOLDER_DIR and/or API_PORT');
+  }
+
+  if (!['idle', 'interval'].includes(CONFIG.polling.mode)) {
+    throw new Error(`POLL_MODE must be idle or interval (got ${CONFIG.polling.mode})`);
+  }
+
+  // Without trusted authserv-ids any Authentication-Results header could be the sender's own
+  const authProcessors = CONFIG.processors.filter(requiresSenderAuth).map(p => p.name);
+  if (CONFIG.sources.length > 0 && CONFIG.senderAuth.trustedAuthServIds.length === 0 &&
+      (authProcessors.length > 0 || CONFIG.senderAuth.requiredProcessors.length > 0)) {
+    throw new Error(`SENDER_AUTH_SERV_IDS is required when processors require sender authentication (${(authProcessors.length > 0 ? authProcessors : CONFIG.senderAuth.requiredProcessors).join(', ')})`);
+  }
+
+  if (CONFIG.api.port && !CONFIG.api.token) {
+    throw new Error('API_TOKEN is required when API_PORT is set');
+  }
+
+  if ((CONFIG.webhooks.mailgunSigningKey || CONFIG.webhooks.sendgridPublicKey) && !CONFIG.api.port) {
+    throw new Error('Inbound-mail webhooks are served on the HTTP API - set API_PORT');
+  }
+
+  if (Object.keys(CONFIG.notifications.rules).length > 0 || CONFIG.unmatched.digestTo.length > 0 ||
+      CONFIG.netsuite.snapshot.alertTo.length > 0) {
+    if (!CONFIG.notifications.from) {
+      throw new Error('NOTIFY_FROM (or IMAP_USER) is required when NOTIFY_RULES, UNMATCHED_DIGEST_TO or NETSUITE_ALERT_TO is set');
+    }
+    if (CONFIG.notifications.transport === 'smtp' && !CONFIG.notifications.smtp.url && !CONFIG.notifications.smtp.host) {
+      throw new Error('SMTP_URL or SMTP_HOST is required when NOTIFY_RULES, UNMATCHED_DIGEST_TO or NETSUITE_ALERT_TO is set (or NOTIFY_TRANSPORT=file)');
+    }
+    if (!['smtp', 'file'].includes(CONFIG.notifications.transport)) {
+      throw new Error(`NOTIFY_TRANSPORT must be smtp or file (got ${CONFIG.notifications.transport})`);
+    }
+    if (!WEEKDAYS.includes(CONFIG.notifications.statementDay)) {
+      throw new Error(`NOTIFY_STATEMENT_DAY must be a weekday name (got ${CONFIG.notifications.statementDay})`);
+    }
+  }
 
-  const missing = Object.entries(required)
-    .filter(([key, value]) => !value)
-    .map(([key]) => key);
+  if (!PROCESSOR_MERGE_STRATEGIES.includes(CONFIG.processorFile.merge)) {
+    throw new Error(`PROCESSORS_MERGE must be one of ${PROCESSOR_MERGE_STRATEGIES.join(', ')} (got ${CONFIG.processorFile.merge})`);
+  }
+
+  if (CONFIG.processorFile.merge === 'local' && !CONFIG.processorFile.path) {
+    throw new Error('PROCESSORS_MERGE=local needs PROCESSORS_FILE');
+  }
+
+  if (!(CONFIG.netsuite.snapshot.maxAgeHours > 0)) {
+    throw new Error(`NETSUITE_SNAPSHOT_MAX_AGE_HOURS must be a positive number (got ${process.env.NETSUITE_SNAPSHOT_MAX_AGE_HOURS})`);
+  }
 
-  if (missing.length > 0) {
-    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  if (CONFIG.unmatched.digestTo.length > 0 && !CONFIG.unmatched.dir) {
+    throw new Error('UNMATCHED_DIGEST_TO needs the unmatched email store - set UNMATCHED_DIR');
   }
 
   console.log('✓ Configuration validated');
@@ -138,7 +669,7 @@ function validateConfig() {
   if (enabledProcessors.length > 0) {
     console.log(`✓ ${enabledProcessors.length} email processor(s) enabled:`);
     enabledProcessors.forEach(p => {
-      console.log(`   - ${p.name}: FROM "${p.criteria.from}" + SUBJECT contains "${p.criteria.subjectContains}"`);
+      console.log(`   - ${p.name}: ${describeProcessorMatch(p)}`);
     });
   }
 }
@@ -153,6 +684,11 @@ async function fetchNetSuiteConfigs() {
     return;
   }
 
+  if (CONFIG.processorFile.merge === 'local') {
+    console.log(`ℹ️  Processor configs come from ${CONFIG.processorFile.path} only (PROCESSORS_MERGE=local)`);
+    return;
+  }
+
   try {
     console.log('🔄 Fetching processor configs from NetSuite...');
 
@@ -191,37 +727,22 @@ async function fetchNetSuiteConfigs() {
 
     // Log full response for debugging
     console.log('📋 NetSuite response:', JSON.stringify(response.data, null, 2));
-    
-    if (response.data.success && response.data.configs && response.data.configs.length > 0) {
-      // Convert NetSuite configs to EMAIL_PROCESSORS format
-      const newProcessors = response.data.configs.map(config => ({
-        name: config.displayName.toLowerCase().replace(/[^a-z0-9]+/g, '_'),
-        enabled: true,
-        criteria: {
-          from: config.emailFrom,
-          subjectContains: config.emailSubjectContains
-        },
-        netsuite: {
-          pdfFolderId: config.pdfFolderId,
-          jsonFolderId: config.jsonFolderId
-        },
-        claudePrompt: config.claudePrompt || 'marcone', // Use custom prompt or fallback
-        configId: config.id,
-        vendor: config.vendor,
-        transactionType: config.transactionType
-      }));
-
-      // Update global EMAIL_PROCESSORS array
-      EMAIL_PROCESSORS = newProcessors;
-      CONFIG.processors = EMAIL_PROCESSORS;
+
+    if (!response.data.success) {
+      throw new Error('NetSuite returned success: false' + (response.data.error ? ` (${response.data.error})` : ''));
+    }
+
+    if (response.data.configs && response.data.configs.length > 0) {
+      const newProcessors = convertNetSuiteConfigs(response.data.configs);
 
       console.log('✅ Loaded ' + newProcessors.length + ' processor config(s) from NetSuite:');
-      newProcessors.forEach(p => {
-        console.log('   - ' + p.name + ': FROM "' + p.criteria.from + '" + SUBJECT contains "' + p.criteria.subjectContains + '"');
-        if (p.claudePrompt && p.claudePrompt !== 'marcone') {
-          console.log('     └─ Custom Claude prompt: ' + p.claudePrompt.substring(0, 50) + '...');
-        }
-      });
+      logNetSuiteProcessors(newProcessors);
+
+      // Update global EMAIL_PROCESSORS array (merged with PROCESSORS_FILE)
+      netsuiteProcessors = newProcessors;
+      netsuiteConfigSource = { from: 'netsuite', fetchedAt: new Date().toISOString() };
+      applyProcessorSources();
+      await saveNetSuiteSnapshot(response.data.configs);
     } else {
       console.log('⚠️  No enabled processor configs found in NetSuite');
       console.log('   Response success:', response.data.success);
@@ -235,579 +756,3936 @@ async function fetchNetSuiteConfigs() {
       console.error('   Response status:', error.response.status);
       console.error('   Response data:', JSON.stringify(error.response.data, null, 2));
     }
-    console.log('   → Continuing with existing processor configurations');
+    if (!netsuiteProcessors) {
+      await loadNetSuiteSnapshot();
+    } else {
+      console.log('   → Continuing with existing processor configurations');
+    }
+    await checkNetSuiteSnapshotAge();
   }
 }
 
 /**
- * Match email against processor rules
- * @param {Object} email - Parsed email object with from/subject
- * @returns {Object|null} Matching processor or null
+ * Converts NetSuite AP Assist Vendor Configuration records to processors
  */
-function matchEmailProcessor(email) {
-  const fromAddress = email.from?.text?.toLowerCase() || email.from?.value?.[0]?.address?.toLowerCase() || '';
-  const subject = email.subject || '';
-  
-  for (const processor of CONFIG.processors) {
-    if (!processor.enabled) continue;
-    
-    const fromMatches = fromAddress.includes(processor.criteria.from.toLowerCase());
-    const subjectMatches = subject.includes(processor.criteria.subjectContains);
-    
-    if (fromMatches && subjectMatches) {
-      console.log(`  ✓ Matched processor: ${processor.name}`);
-      return processor;
+function convertNetSuiteConfigs(configs) {
+  return configs.map(config => ({
+    name: config.displayName.toLowerCase().replace(/[^a-z0-9]+/g, '_'),
+    enabled: true,
+    criteria: {
+      from: config.emailFrom,
+      subjectContains: config.emailSubjectContains
+    },
+    netsuite: {
+      pdfFolderId: config.pdfFolderId,
+      jsonFolderId: config.jsonFolderId
+    },
+    claudePrompt: config.claudePrompt || 'marcone', // Use custom prompt or fallback
+    configId: config.id,
+    vendor: config.vendor,
+    transactionType: config.transactionType
+  }));
+}
+
+/**
+ * Logs processors converted from NetSuite records
+ */
+function logNetSuiteProcessors(processors) {
+  processors.forEach(p => {
+    console.log('   - ' + p.name + ': ' + describeProcessorMatch(p));
+    if (p.claudePrompt && p.claudePrompt !== 'marcone') {
+      console.log('     └─ Custom Claude prompt: ' + p.claudePrompt.substring(0, 50) + '...');
     }
-  }
-  
-  console.log(`  ⚠️  No matching processor for FROM: ${fromAddress}, SUBJECT: ${subject}`);
-  return null;
+  });
 }
 
+// Last-known-good NetSuite config snapshot - see lib/netsuite-snapshot.js
+const {
+  saveNetSuiteSnapshot,
+  readNetSuiteSnapshot,
+  checkNetSuiteSnapshotAge,
+  startNetSuiteSnapshotCheck,
+  stopNetSuiteSnapshotCheck,
+  sendNetSuiteAlert,
+  verifyNetSuiteSnapshot
+} = createNetSuiteSnapshot({
+  CONFIG,
+  getConfigSource: () => netsuiteConfigSource,
+  convertNetSuiteConfigs,
+  describeProcessorMatch,
+  sendNotification
+});
+
 /**
- * Validates that all line items have 8-digit original bill numbers
+ * Uses the last-known-good snapshot when NetSuite can't be reached before any
+ * fetch has succeeded (cold start). A missing or invalid snapshot leaves the
+ * processors as they are.
+ * @returns {Promise<boolean>} Whether the snapshot was loaded
  */
-function validateBillNumbers(extractedData) {
-  if (!extractedData || !extractedData.lineItems || !Array.isArray(extractedData.lineItems)) {
-    return { valid: true }; // No line items to validate
+async function loadNetSuiteSnapshot() {
+  if (!CONFIG.netsuite.snapshot.file) {
+    console.log('   → No NetSuite config snapshot (NETSUITE_SNAPSHOT_FILE is empty) - continuing with existing processor configurations');
+    return false;
   }
 
-  const invalidItems = [];
-  
-  for (let i = 0; i < extractedData.lineItems.length; i++) {
-    const item = extractedData.lineItems[i];
-    const billNumber = item.originalBillNumber;
-    
-    if (!billNumber || billNumber.length !== 8 || !/^\d{8}$/.test(billNumber)) {
-      invalidItems.push({
-        index: i,
-        narda: item.nardaNumber,
-        billNumber: billNumber || '(empty)',
-        length: billNumber ? billNumber.length : 0
-      });
-    }
+  let snapshot;
+  try {
+    snapshot = await readNetSuiteSnapshot();
+  } catch (error) {
+    console.error(`❌ Ignoring NetSuite config snapshot: ${error.message}`);
+    await sendNetSuiteAlert('snapshot rejected', [
+      `NetSuite could not be reached and the last-known-good snapshot was rejected:`,
+      '',
+      `  ${error.message}`,
+      '',
+      'The worker is running without the NetSuite processor configs until a fetch succeeds.'
+    ].join('\n'));
+    return false;
   }
 
-  if (invalidItems.length > 0) {
-    const details = invalidItems.map(item => 
-      `Line ${item.index + 1} (NARDA: ${item.narda}): "${item.billNumber}" is ${item.length} digits (need 8)`
-    ).join('; ');
-    
-    return {
-      valid: false,
-      reason: `Invalid bill numbers found: ${details}`,
-      invalidItems
-    };
+  if (!snapshot) {
+    console.log(`   → No NetSuite config snapshot at ${CONFIG.netsuite.snapshot.file} yet - continuing with existing processor configurations`);
+    return false;
   }
 
-  return { valid: true };
+  netsuiteProcessors = convertNetSuiteConfigs(snapshot.configs);
+  netsuiteConfigSource = { from: 'snapshot', fetchedAt: snapshot.savedAt };
+  console.log(`📦 Loaded ${netsuiteProcessors.length} processor config(s) from the NetSuite snapshot saved ${snapshot.savedAt} (${snapshot.ageHours.toFixed(1)}h old):`);
+  logNetSuiteProcessors(netsuiteProcessors);
+  applyProcessorSources();
+  return true;
 }
 
+// Local processor config file: PROCESSORS_FILE (YAML or JSON) defines
+// processors next to (or instead of) the NetSuite records
+const PROCESSOR_MERGE_STRATEGIES = ['local-wins', 'netsuite-wins', 'local', 'netsuite'];
+
+// Schema for one processor entry: type is a typeof name (or 'array'; a list
+// allows several), fields describes the keys of a nested object.
+// match and attachments are checked by compileMatchRule()/compileAttachmentRoute()
+const PROCESSOR_FILE_SCHEMA = {
+  name: { type: 'string', required: true },
+  enabled: { type: 'boolean' },
+  priority: { type: 'number' },
+  criteria: { type: 'object', fields: { from: { type: 'string' }, subjectContains: { type: 'string' } } },
+  match: { type: 'object' },
+  prompt: { type: 'string' },
+  promptFile: { type: 'string' },
+  netsuite: { type: 'object', fields: { pdfFolderId: { type: ['string', 'number'] }, jsonFolderId: { type: ['string', 'number'] } } },
+  attachments: { type: 'object' },
+  requireSenderAuth: { type: 'boolean' },
+  bodyIsDocument: { type: 'boolean' }
+};
+
+let localProcessors = null; // From PROCESSORS_FILE (null until loaded)
+let netsuiteProcessors = null; // From the last successful NetSuite fetch (or the snapshot)
+let netsuiteConfigSource = null; // { from: 'netsuite' | 'snapshot', fetchedAt }
+let processorFileTimer = null;
+let processorFileWatch = { files: [], signature: null }; // Config + prompt files and their mtimes
+
 /**
- * Processes a PDF with Claude API
- *
- * @param {Buffer} pdfBuffer - PDF file as buffer
- * @param {string} filename - Name of the PDF file
- * @param {string} emailSubject - Subject of the email containing the PDF
- * @param {string} customPrompt - Optional custom prompt for processing
- * @returns {Promise<Object>} Claude's analysis result
+ * Checks a value against a PROCESSOR_FILE_SCHEMA-style schema
+ * @returns {Array<string>} Errors ("<location>: <problem>"), empty when valid
  */
-async function processPdfWithClaude(pdfBuffer, filename, emailSubject, customPrompt = null) {
-  console.log(`  📄 Processing PDF with Claude: ${filename} (${(pdfBuffer.length / 1024).toFixed(2)} KB)`);
+function validateAgainstSchema(value, schema, location) {
+  const typeOf = v => Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v;
+  const errors = [];
 
-  // CRITICAL: Prompt must be provided from NetSuite configuration
-  if (!customPrompt) {
-    console.error('❌ CRITICAL ERROR: No Claude prompt provided for processing!');
-    console.error('   File:', filename);
-    console.error('   This PDF cannot be processed without a valid prompt.');
-    console.error('   Check NetSuite AP Assist Vendor Configuration record.');
-    return {
-      success: false,
-      error: 'NO_PROMPT_CONFIGURED',
-      message: 'Claude prompt is missing from processor configuration. Update NetSuite AP Assist Vendor Configuration record.',
-      filename,
-      emailSubject
-    };
+  if (typeOf(value) !== 'object') {
+    return [`${location}: must be an object`];
   }
 
-  // Convert PDF to base64
-  const pdfBase64 = pdfBuffer.toString('base64');
+  for (const key of Object.keys(value)) {
+    if (!schema[key]) {
+      errors.push(`${location}.${key}: unknown field (expected ${Object.keys(schema).join(', ')})`);
+    }
+  }
 
-  // Use prompt from NetSuite configuration (keep static for caching)
-  console.log(`  ✓ Using Claude prompt from NetSuite configuration (${customPrompt.length} characters)`);
+  for (const [key, rule] of Object.entries(schema)) {
+    if (value[key] === undefined) {
+      if (rule.required) errors.push(`${location}.${key}: required`);
+      continue;
+    }
+    const allowed = [].concat(rule.type);
+    if (!allowed.includes(typeOf(value[key]))) {
+      errors.push(`${location}.${key}: must be ${allowed.join(' or ')} (got ${typeOf(value[key])})`);
+    } else if (rule.fields) {
+      errors.push(...validateAgainstSchema(value[key], rule.fields, `${location}.${key}`));
+    }
+  }
 
-  try {
-    // Create message with prompt caching enabled
-    // IMPORTANT: Static prompt comes FIRST and is marked for caching
-    // This saves ~90% on prompt tokens for repeated processing!
-    const message = await anthropic.messages.create({
-      model: CONFIG.claude.model,
-      max_tokens: CONFIG.claude.maxTokens,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: customPrompt,
-              cache_control: { type: 'ephemeral' }  // Cache this prompt!
-            },
-            {
-              type: 'text',
-              text: '\n\nDocument: ' + filename
-            },
-            {
-              type: 'document',
-              source: {
-                type: 'base64',
-                media_type: 'application/pdf',
-                data: pdfBase64
-              }
-            }
-          ]
-        }
-      ]
+  return errors;
+}
+
+/**
+ * Replaces ${NAME} in every string of a parsed config with the environment
+ * variable (folder IDs and other per-deployment values stay out of the file).
+ * ${NAME:-default} uses the default when NAME is unset or empty; a plain
+ * ${NAME} that is unset is an error.
+ */
+function expandEnvReferences(value, location, errors) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      if (fallback !== undefined) {
+        return process.env[name] || fallback;
+      }
+      if (process.env[name] === undefined) {
+        errors.push(`${location}: environment variable ${name} is not set`);
+        return '';
+      }
+      return process.env[name];
     });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => expandEnvReferences(item, `${location}[${i}]`, errors));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnvReferences(item, `${location}.${key}`, errors)]));
+  }
+  return value;
+}
 
-    // Extract text response
-    const analysis = message.content
-      .filter(block => block.type === 'text')
-      .map(block => block.text)
-      .join('\n');
+/**
+ * Reads and validates PROCESSORS_FILE
+ *
+ * The file is YAML (.yaml/.yml) or JSON (.json): a list of processors, or
+ * { processors: [...] }. Each entry follows PROCESSOR_FILE_SCHEMA; the Claude
+ * prompt is inline (prompt) or a text file (promptFile, relative to the config
+ * file). Every problem is collected and reported together.
+ *
+ * @returns {Promise<Object>} { processors, files } - files are the config and prompt files (for hot reload)
+ * @throws {Error} Listing every validation problem
+ */
+async function readProcessorFile() {
+  const configPath = path.resolve(CONFIG.processorFile.path);
+  const text = await fs.readFile(configPath, 'utf8');
 
-    // Log token usage with cache stats
-    const cacheStats = message.usage.cache_creation_input_tokens || message.usage.cache_read_input_tokens 
-      ? ' | Cache: ' + (message.usage.cache_creation_input_tokens || 0) + ' created, ' + (message.usage.cache_read_input_tokens || 0) + ' read'
-      : '';
-    
-    console.log(`  ✓ Analysis complete (${message.usage.input_tokens} in / ${message.usage.output_tokens} out tokens${cacheStats})`);
+  let data;
+  try {
+    data = /\.json$/i.test(configPath) ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`${configPath} could not be parsed: ${error.message}`);
+  }
 
-    return {
-      success: true,
-      analysis,
-      filename,
-      emailSubject,
-      model: message.model,
-      usage: message.usage,
-      stopReason: message.stop_reason
-    };
+  const entries = Array.isArray(data) ? data : data?.processors;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${configPath} must be a list of processors or { processors: [...] }`);
+  }
 
-  } catch (error) {
-    console.error(`  ✗ Error processing PDF with Claude:`, error.message);
-    return {
-      success: false,
-      error: error.message,
-      filename,
-      emailSubject
+  const errors = [];
+  const processors = [];
+  const files = [configPath];
+  const seenNames = new Set();
+
+  for (const [i, rawEntry] of entries.entries()) {
+    const location = `processors[${i}]${rawEntry?.name ? ' (' + rawEntry.name + ')' : ''}`;
+    if (typeof rawEntry?.name === 'string') {
+      if (seenNames.has(rawEntry.name)) {
+        errors.push(`${location}.name: duplicate processor name "${rawEntry.name}"`);
+      }
+      seenNames.add(rawEntry.name);
+    }
+
+    const entryErrors = validateAgainstSchema(rawEntry, PROCESSOR_FILE_SCHEMA, location);
+    if (entryErrors.length > 0) {
+      errors.push(...entryErrors);
+      continue;
+    }
+
+    const entry = expandEnvReferences(rawEntry, location, errors);
+
+    let claudePrompt = entry.prompt;
+    if (entry.prompt !== undefined && entry.promptFile !== undefined) {
+      errors.push(`${location}: set prompt or promptFile, not both`);
+    } else if (entry.promptFile !== undefined) {
+      const promptPath = path.resolve(path.dirname(configPath), entry.promptFile);
+      files.push(promptPath);
+      try {
+        claudePrompt = await fs.readFile(promptPath, 'utf8');
+      } catch (error) {
+        errors.push(`${location}.promptFile: cannot read ${promptPath} (${error.code || error.message})`);
+      }
+    } else if (entry.prompt === undefined && entry.attachments?.extract !== false) {
+      // Archive-only processors (attachments.extract: false) never call Claude
+      errors.push(`${location}: needs prompt or promptFile (or attachments.extract: false)`);
+    }
+    if (claudePrompt !== undefined && !claudePrompt.trim()) {
+      errors.push(`${location}: prompt is empty`);
+    }
+
+    const processor = {
+      name: entry.name,
+      enabled: entry.enabled !== false,
+      priority: entry.priority,
+      criteria: entry.criteria || {},
+      match: entry.match,
+      netsuite: entry.netsuite || {},
+      claudePrompt: claudePrompt ?? null,
+      attachments: entry.attachments,
+      requireSenderAuth: entry.requireSenderAuth,
+      bodyIsDocument: entry.bodyIsDocument,
+      source: 'file',
+      promptFile: entry.promptFile
     };
+
+    if (entry.requireSenderAuth && CONFIG.sources.length > 0 && CONFIG.senderAuth.trustedAuthServIds.length === 0) {
+      errors.push(`${location}.requireSenderAuth: needs SENDER_AUTH_SERV_IDS (the authserv-id of our receiving server)`);
+    }
+
+    // Surface rule errors now rather than on the first email
+    try {
+      getProcessorMatchRule(processor);
+      getAttachmentRoute(processor);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    processors.push(processor);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`${configPath} is invalid:\n  - ${errors.join('\n  - ')}`);
   }
+
+  return { processors, files };
 }
 
 /**
- * Saves processed PDF to disk
+ * Modification times of the watched files, as one comparable string
  */
-async function savePdf(buffer, filename, emailSubject) {
-  if (!CONFIG.output.saveProcessedPdfs) return;
+async function getFileSignature(files) {
+  const times = [];
+  for (const file of files) {
+    try {
+      times.push((await fs.stat(file)).mtimeMs);
+    } catch (error) {
+      times.push('missing');
+    }
+  }
+  return times.join('|');
+}
 
-  await fs.mkdir(CONFIG.output.outputDir, { recursive: true });
+/**
+ * Loads PROCESSORS_FILE and applies it (throws when the file is invalid)
+ */
+async function loadProcessorFile() {
+  const { processors, files } = await readProcessorFile();
+  processorFileWatch = { files, signature: await getFileSignature(files) };
+  localProcessors = processors;
 
-  // Sanitize filename
-  const sanitized = filename.replace(/[^a-z0-9.-]/gi, '_');
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const fullPath = path.join(CONFIG.output.outputDir, `${timestamp}_${sanitized}`);
+  console.log(`📁 Loaded ${processors.length} processor config(s) from ${CONFIG.processorFile.path}:`);
+  processors.forEach(p => {
+    console.log(`   - ${p.name}${p.enabled ? '' : ' (disabled)'}: ${describeProcessorMatch(p)}`);
+    console.log(`     └─ Claude prompt: ${p.claudePrompt ? `${p.promptFile || 'inline'} (${p.claudePrompt.length} characters)` : 'none (archive only)'}`);
+  });
 
-  await fs.writeFile(fullPath, buffer);
-  console.log(`  💾 Saved PDF to: ${fullPath}`);
+  applyProcessorSources();
 }
 
 /**
- * Saves analysis results to disk
+ * Combines file and NetSuite processors into CONFIG.processors (PROCESSORS_MERGE)
+ *
+ * - local-wins:    both sources; a file entry replaces the NetSuite processor of the same name
+ * - netsuite-wins: both sources; a NetSuite processor replaces the file entry of the same name
+ * - local:         file only (NetSuite configs are not fetched)
+ * - netsuite:      NetSuite only; the file is the fallback until a NetSuite fetch succeeds
+ *
+ * The hardcoded EMAIL_PROCESSORS default stays until either source has loaded.
  */
-async function saveResult(result) {
-  if (!CONFIG.output.saveResults) return;
+function applyProcessorSources() {
+  if (!localProcessors && !netsuiteProcessors) return;
 
-  await fs.mkdir(CONFIG.output.resultsDir, { recursive: true });
+  const local = localProcessors || [];
+  const netsuite = netsuiteProcessors || [];
+  const strategy = CONFIG.processorFile.merge;
+  let processors;
+  let replaced = [];
 
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `analysis_${timestamp}.json`;
-  const fullPath = path.join(CONFIG.output.resultsDir, filename);
+  if (strategy === 'local') {
+    processors = local;
+  } else if (strategy === 'netsuite') {
+    processors = netsuiteProcessors ? netsuite : local;
+  } else {
+    const [preferred, other] = strategy === 'local-wins' ? [local, netsuite] : [netsuite, local];
+    const names = new Set(preferred.map(p => p.name));
+    replaced = other.filter(p => names.has(p.name)).map(p => p.name);
+    processors = [...preferred, ...other.filter(p => !names.has(p.name))];
+  }
 
-  await fs.writeFile(fullPath, JSON.stringify(result, null, 2));
-  console.log(`  💾 Saved analysis to: ${fullPath}`);
+  EMAIL_PROCESSORS = processors;
+  CONFIG.processors = EMAIL_PROCESSORS;
+
+  if (localProcessors && netsuiteProcessors) {
+    console.log(`🔀 ${processors.length} processor(s) after ${strategy} merge (${local.length} from file, ${netsuite.length} from NetSuite)` +
+      (replaced.length > 0 ? ` - ${strategy === 'local-wins' ? 'file' : 'NetSuite'} overrides ${replaced.join(', ')}` : ''));
+  }
 }
 
 /**
- * Uploads PDF and extracted data to NetSuite via RESTlet
+ * Reloads PROCESSORS_FILE when it or one of its prompt files changed
+ * An invalid edit is reported and the previous processors stay in use.
+ * @returns {Promise<boolean>} Whether new processors were applied
  */
-async function uploadToNetSuite(pdfBuffer, filename, extractedData, emailSubject, folderIds = null) {
-  if (!CONFIG.netsuite.enabled) {
-    console.log('  ℹ️  NetSuite upload disabled (set NETSUITE_ENABLED=true to enable)');
-    return { success: false, reason: 'disabled' };
-  }
+async function checkProcessorFile() {
+  const signature = await getFileSignature(processorFileWatch.files);
+  if (signature === processorFileWatch.signature) return false;
 
+  // Not retried until the files change again
+  processorFileWatch.signature = signature;
+  console.log(`\n🔄 ${CONFIG.processorFile.path} changed - reloading processors`);
   try {
-    console.log('  📤 Uploading to NetSuite RESTlet...');
+    await loadProcessorFile();
+    return true;
+  } catch (error) {
+    console.error(`❌ Keeping the previous processors: ${error.message}`);
+    return false;
+  }
+}
 
-    // Use processor-specific folder IDs or fall back to defaults
-    const pdfFolderId = folderIds?.pdfFolderId || CONFIG.netsuite.defaultPdfFolderId;
-    const jsonFolderId = folderIds?.jsonFolderId || CONFIG.netsuite.defaultJsonFolderId;
-    
-    if (pdfFolderId) {
-      console.log(`    PDF Folder ID: ${pdfFolderId}`);
+/**
+ * Starts the processor file hot-reload check
+ */
+function startProcessorFileWatch() {
+  if (!CONFIG.processorFile.path) return;
+
+  processorFileTimer = setInterval(() => {
+    checkProcessorFile().catch(error => console.error('❌ Processor file check failed:', error.message));
+  }, CONFIG.processorFile.pollIntervalMs);
+}
+
+/**
+ * Converts a glob (* = any characters, ? = one character) into an anchored RegExp
+ */
+function globToRegExp(glob, flags) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Compiles a matching rule tree
+ *
+ * Composites: { all: [...] } (AND), { any: [...] } (OR), { not: rule }.
+ * Conditions: { <field>: <matcher> } where field is from, to, cc, subject,
+ * body or attachment (filenames) and matcher is a string (contains) or one of
+ * { contains }, { equals }, { regex }, { glob }, { domain } (address fields,
+ * includes subdomains). Matching is case-insensitive unless the matcher sets
+ * caseSensitive: true.
+ *
+ * @param {Object} node - Rule tree from MATCH_RULES or processor.match
+ * @param {string} location - Where the rule came from (for error messages)
+ * @returns {Object} Compiled node for evaluateMatchRule()
+ */
+function compileMatchRule(node, location) {
+  const fields = ['from', 'to', 'cc', 'subject', 'body', 'attachment'];
+  const operators = ['contains', 'equals', 'regex', 'glob', 'domain'];
+
+  if (!node || typeof node !== 'object' || Array.isArray(node) || Object.keys(node).length !== 1) {
+    throw new Error(`${location} must be an object with exactly one key (all, any, not or a field)`);
+  }
+
+  const [key, value] = Object.entries(node)[0];
+
+  if (key === 'all' || key === 'any') {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error(`${location}.${key} must be a non-empty array`);
     }
-    if (jsonFolderId) {
-      console.log(`    JSON Folder ID: ${jsonFolderId}`);
+    return { type: key, children: value.map((child, i) => compileMatchRule(child, `${location}.${key}[${i}]`)) };
+  }
+
+  if (key === 'not') {
+    return { type: 'not', child: compileMatchRule(value, `${location}.not`) };
+  }
+
+  if (!fields.includes(key)) {
+    throw new Error(`${location}: unknown key "${key}" (expected all, any, not or ${fields.join(', ')})`);
+  }
+
+  const matcher = typeof value === 'string' ? { contains: value } : value;
+  const ops = Object.keys(matcher || {}).filter(op => op !== 'caseSensitive');
+  if (ops.length !== 1 || !operators.includes(ops[0]) || typeof matcher[ops[0]] !== 'string') {
+    throw new Error(`${location}.${key} needs exactly one of ${operators.join(', ')} (a string)`);
+  }
+
+  const op = ops[0];
+  const caseSensitive = matcher.caseSensitive === true;
+  const expected = matcher[op];
+  const fold = text => caseSensitive ? text : text.toLowerCase();
+  let test;
+
+  if (op === 'contains') {
+    test = candidate => fold(candidate).includes(fold(expected));
+  } else if (op === 'equals') {
+    test = candidate => fold(candidate) === fold(expected);
+  } else if (op === 'domain') {
+    if (!['from', 'to', 'cc'].includes(key)) {
+      throw new Error(`${location}.${key}: domain only applies to from, to and cc`);
+    }
+    const domain = expected.toLowerCase().replace(/^@/, '');
+    test = candidate => {
+      const at = candidate.lastIndexOf('@');
+      const candidateDomain = at === -1 ? '' : candidate.substring(at + 1).toLowerCase();
+      return candidateDomain === domain || candidateDomain.endsWith('.' + domain);
+    };
+  } else {
+    let pattern;
+    try {
+      pattern = op === 'regex' ? new RegExp(expected, caseSensitive ? '' : 'i') : globToRegExp(expected, caseSensitive ? '' : 'i');
+    } catch (error) {
+      throw new Error(`${location}.${key}: invalid regex - ${error.message}`);
     }
+    test = candidate => pattern.test(candidate);
+  }
 
-    // Create OAuth 1.0a signature
-    const oauth = OAuth({
-      consumer: {
-        key: CONFIG.netsuite.consumerKey,
-        secret: CONFIG.netsuite.consumerSecret
-      },
-      signature_method: 'HMAC-SHA256',
-      hash_function(base_string, key) {
-        return crypto
-          .createHmac('sha256', key)
-          .update(base_string)
-          .digest('base64');
+  const label = op === 'regex' ? `${key} regex /${expected}/` : `${key} ${op} "${expected}"`;
+  return { type: 'condition', field: key, op, expected, label: caseSensitive ? label + ' (case-sensitive)' : label, test };
+}
+
+/**
+ * The values a condition field is tested against for one email
+ * Address fields yield each address plus the full header text (display names).
+ * Computed lazily and cached per email, since the body needs html-to-text.
+ */
+function getMatchFieldValues(email, field, cache) {
+  if (cache.has(field)) {
+    return cache.get(field);
+  }
+
+  let values;
+  if (field === 'subject') {
+    values = [email.subject || ''];
+  } else if (field === 'body') {
+    values = [normalizeEmailBody(email)];
+  } else if (field === 'attachment') {
+    values = (email.attachments || []).map(att => att.filename).filter(Boolean);
+  } else {
+    // mailparser returns an array of address objects for repeated headers
+    const headers = [].concat(email[field] || []);
+    values = [];
+    for (const header of headers) {
+      const entries = (header.value || []).flatMap(entry => entry.group || [entry]);
+      const addresses = entries.length > 0
+        ? entries.map(entry => entry.address).filter(Boolean)
+        : (header.text || '').match(/[^\s<>"',;]+@[^\s<>"',;]+/g) || []; // Inline-forward headers are text only
+      values.push(...addresses.map(address => address.toLowerCase()));
+      if (header.text) values.push(header.text);
+    }
+  }
+
+  cache.set(field, values);
+  return values;
+}
+
+/**
+ * Evaluates a compiled rule against an email
+ * @returns {Object} { matched, reason } - reason explains the verdict for the log
+ */
+function evaluateMatchRule(node, email, cache) {
+  if (node.type === 'condition') {
+    const values = getMatchFieldValues(email, node.field, cache);
+    const hit = values.find(value => node.test(value));
+    if (hit !== undefined) {
+      return { matched: true, reason: `${node.label} matched "${truncateForLog(hit)}"` };
+    }
+    return {
+      matched: false,
+      reason: values.length === 0
+        ? `${node.label}: no ${node.field === 'attachment' ? 'attachments' : node.field}`
+        : `${node.label} did not match "${truncateForLog(values[values.length - 1])}"`
+    };
+  }
+
+  if (node.type === 'not') {
+    const result = evaluateMatchRule(node.child, email, cache);
+    return { matched: !result.matched, reason: `NOT (${result.reason})` };
+  }
+
+  const reasons = [];
+  for (const child of node.children) {
+    const result = evaluateMatchRule(child, email, cache);
+    if (node.type === 'all' && !result.matched) return result;
+    if (node.type === 'any' && result.matched) return result;
+    reasons.push(result.reason);
+  }
+  return node.type === 'all'
+    ? { matched: true, reason: reasons.join(' AND ') }
+    : { matched: false, reason: `none of: ${reasons.join('; ')}` };
+}
+
+function truncateForLog(text) {
+  const singleLine = String(text).replace(/\s+/g, ' ');
+  return singleLine.length > 80 ? singleLine.substring(0, 77) + '...' : singleLine;
+}
+
+/**
+ * Human-readable rule summary for startup logs
+ */
+function describeMatchRule(node) {
+  if (node.type === 'condition') return node.label;
+  if (node.type === 'not') return `NOT (${describeMatchRule(node.child)})`;
+  const parts = node.children.map(child => child.type === 'condition' || child.type === 'not'
+    ? describeMatchRule(child)
+    : `(${describeMatchRule(child)})`);
+  return parts.join(node.type === 'all' ? ' AND ' : ' OR ');
+}
+
+// Compiled rules per processor object (NetSuite refreshes replace the objects)
+const compiledProcessorRules = new WeakMap();
+
+/**
+ * The matching rule for a processor: MATCH_RULES entry, else processor.match,
+ * else the legacy criteria (from contains + case-sensitive subject contains)
+ * @returns {Object} { priority, match }
+ */
+function getProcessorMatchRule(processor) {
+  if (CONFIG.matchRules[processor.name]) {
+    return CONFIG.matchRules[processor.name];
+  }
+
+  if (!compiledProcessorRules.has(processor)) {
+    let tree = processor.match;
+    if (!tree) {
+      // Same semantics as the original matcher: From (address or display text)
+      // case-insensitive, subject case-sensitive like subject.includes()
+      const conditions = [];
+      if (processor.criteria?.from) conditions.push({ from: { contains: processor.criteria.from } });
+      if (processor.criteria?.subjectContains) {
+        conditions.push({ subject: { contains: processor.criteria.subjectContains, caseSensitive: true } });
       }
+      tree = conditions.length > 0 ? { all: conditions } : null;
+    }
+
+    compiledProcessorRules.set(processor, {
+      priority: Number(processor.priority) || 0,
+      match: tree ? compileMatchRule(tree, `processor ${processor.name}`) : null
     });
+  }
 
-    const token = {
-      key: CONFIG.netsuite.tokenId,
-      secret: CONFIG.netsuite.tokenSecret
-    };
+  return compiledProcessorRules.get(processor);
+}
 
-    const requestData = {
-      url: CONFIG.netsuite.restletUrl,
-      method: 'POST'
-    };
+/**
+ * One-line description of how a processor matches email (and which attachments it takes)
+ */
+function describeProcessorMatch(processor) {
+  const rule = getProcessorMatchRule(processor);
+  const route = getAttachmentRoute(processor);
+  const description = [
+    rule.match ? describeMatchRule(rule.match) : 'no rule (never matches)',
+    route.description ? `attachments: ${route.description}` : null,
+    route.alsoSendTo.length > 0 ? `also → ${route.alsoSendTo.join(', ')}` : null,
+    route.extract ? null : 'archive only'
+  ].filter(Boolean).join(' | ');
+  return rule.priority ? `[priority ${rule.priority}] ${description}` : description;
+}
+
+// Compiled attachment routes per processor object
+const compiledAttachmentRoutes = new WeakMap();
+
+/**
+ * The attachment route for a processor: ATTACHMENT_ROUTES entry, else
+ * processor.attachments, else accept every attachment with no fan-out
+ * @returns {Object} { include, exclude, alsoSendTo, extract, description }
+ */
+function getAttachmentRoute(processor) {
+  if (CONFIG.attachmentRoutes[processor.name]) {
+    return CONFIG.attachmentRoutes[processor.name];
+  }
+
+  if (!compiledAttachmentRoutes.has(processor)) {
+    compiledAttachmentRoutes.set(processor, compileAttachmentRoute(processor.attachments || {}, `processor ${processor.name}.attachments`));
+  }
+
+  return compiledAttachmentRoutes.get(processor);
+}
+
+/**
+ * Whether a processor's attachment filters accept a filename
+ */
+function acceptsAttachment(processor, filename) {
+  const route = getAttachmentRoute(processor);
+  const name = filename || '';
+  return (!route.include || route.include.some(pattern => pattern.test(name))) &&
+    !route.exclude.some(pattern => pattern.test(name));
+}
+
+/**
+ * Match email against processor rules
+ *
+ * Enabled processors are tried by priority (highest first; ties keep config
+ * order). Every rule is evaluated and logged with the reason it matched or
+ * not. All matching processors are returned so each attachment can go to
+ * the first one whose attachment filters accept it (see routeDocuments()).
+ *
+ * @param {Object} email - Parsed email (or inline-forward headers)
+ * @returns {Array<Object>} Matching processors, best first (empty when none match)
+ */
+function matchEmailProcessors(email) {
+  const ranked = CONFIG.processors
+    .filter(processor => processor.enabled)
+    .map((processor, index) => ({ processor, index, rule: getProcessorMatchRule(processor) }))
+    .sort((a, b) => b.rule.priority - a.rule.priority || a.index - b.index);
+
+  const cache = new Map();
+  const matched = [];
+  for (const { processor, rule } of ranked) {
+    if (!rule.match) continue;
+
+    const result = evaluateMatchRule(rule.match, email, cache);
+    console.log(`  ${result.matched ? '✓' : '·'} ${processor.name}${rule.priority ? ' [priority ' + rule.priority + ']' : ''}: ${result.reason}`);
+    if (result.matched) {
+      matched.push(processor);
+    }
+  }
+
+  if (matched.length > 0) {
+    console.log(`  ✓ Matched processor: ${matched[0].name}${matched.length > 1 ? ' (also ' + matched.slice(1).map(p => p.name).join(', ') + ')' : ''}`);
+    return matched;
+  }
+
+  const fromAddress = email.from?.text?.toLowerCase() || email.from?.value?.[0]?.address?.toLowerCase() || '';
+  console.log(`  ⚠️  No matching processor for FROM: ${fromAddress}, SUBJECT: ${email.subject || ''}`);
+  return [];
+}
+
+/**
+ * Pulls the original From/Subject out of an inline-forwarded email body
+ * (Gmail "Forwarded message", Outlook "Original Message", Apple Mail "Begin forwarded message")
+ * @param {string} text - Plain-text body
+ * @returns {Object|null} { from: { text }, subject } shaped like a parsed email, or null
+ */
+function extractInlineForwardHeaders(text) {
+  if (!text) return null;
+
+  const marker = /(-{2,}\s*Forwarded message\s*-{2,}|-{2,}\s*Original Message\s*-{2,}|Begin forwarded message:)/i.exec(text);
+  if (!marker) return null;
+
+  // Only look at the header block right after the marker
+  const headerBlock = text.substring(marker.index + marker[0].length).split(/\r?\n/).slice(0, 15).join('\n');
+  const from = /^\s*From:\s*(.+)$/im.exec(headerBlock);
+  const subject = /^\s*Subject:\s*(.+)$/im.exec(headerBlock);
+
+  if (!from) return null;
+
+  return {
+    from: { text: from[1].trim() },
+    subject: subject ? subject[1].trim() : ''
+  };
+}
+
+/**
+ * Picks the processors for an email
+ *
+ * The outer message is tried first. When it doesn't match (e.g. a buyer
+ * forwarded a vendor email), the original sender and subject of forwarded
+ * messages are tried - attached .eml files first, then inline forwards.
+ *
+ * @param {Object} parsed - Parsed outer email
+ * @param {Array<Object>} embeddedMessages - Parsed message/rfc822 attachments
+ * @returns {Object} { processor, processors, matchedOn, matchedEmail } - processor is the best match,
+ *   processors every match (best first); matchedOn is 'message', 'forwarded-attachment' or
+ *   'inline-forward'; matchedEmail is the message (or inline-forward headers) that matched
+ */
+function routeEmail(parsed, embeddedMessages = []) {
+  const candidates = [{ matchedOn: 'message', email: parsed }];
+
+  embeddedMessages.forEach(email => candidates.push({ matchedOn: 'forwarded-attachment', email }));
+
+  const inlineForward = extractInlineForwardHeaders(parsed.text);
+  if (inlineForward) {
+    candidates.push({ matchedOn: 'inline-forward', email: inlineForward });
+  }
+
+  for (const candidate of candidates) {
+    const processors = matchEmailProcessors(candidate.email);
+    if (processors.length > 0) {
+      if (candidate.matchedOn !== 'message') {
+        console.log(`  ↪️  Routed via ${candidate.matchedOn}: FROM ${candidate.email.from?.text || 'Unknown'}, SUBJECT ${candidate.email.subject || ''}`);
+      }
+      return { processor: processors[0], processors, matchedOn: candidate.matchedOn, matchedEmail: candidate.email };
+    }
+  }
+
+  return { processor: null, processors: [], matchedOn: null, matchedEmail: null };
+}
+
+/**
+ * Whether a processor only accepts authenticated senders
+ * (processor.requireSenderAuth, or listed in SENDER_AUTH_REQUIRED_PROCESSORS; "*" = all)
+ */
+function requiresSenderAuth(processor) {
+  const required = CONFIG.senderAuth.requiredProcessors;
+  return !!processor.requireSenderAuth || required.includes('*') || required.includes(processor.name);
+}
+
+/**
+ * Parses one Authentication-Results (or ARC-Authentication-Results) value
+ *
+ *   mx.google.com; dkim=pass header.i=@marcone.com; spf=pass smtp.mailfrom=x@marcone.com; dmarc=pass header.from=marcone.com
+ *
+ * @param {string} value - Header value
+ * @returns {Object} { authServId, instance, results: { spf, dkim, dmarc } } where each result is
+ *   a list of { result, props } (a message can carry several DKIM signatures)
+ */
+function parseAuthenticationResults(value) {
+  // Comments carry no verdicts and may contain ";" or "="
+  let text = String(value).replace(/\r?\n[ \t]+/g, ' ');
+  while (/\([^()]*\)/.test(text)) {
+    text = text.replace(/\([^()]*\)/g, ' ');
+  }
+
+  const parts = text.split(';').map(part => part.trim()).filter(Boolean);
+  let instance = null;
+  if (parts.length > 0 && /^i=\d+$/i.test(parts[0])) {
+    instance = parseInt(parts.shift().substring(2));
+  }
+
+  const authServId = (parts.shift() || '').split(/\s+/)[0].toLowerCase();
+  const results = { spf: [], dkim: [], dmarc: [] };
+
+  for (const part of parts) {
+    const [methodResult, ...propTokens] = part.split(/\s+/);
+    const match = /^([a-z-]+)=([a-z]+)$/i.exec(methodResult);
+    if (!match || !results[match[1].toLowerCase()]) continue;
+
+    const props = {};
+    for (const token of propTokens) {
+      const eq = token.indexOf('=');
+      if (eq > 0) props[token.substring(0, eq).toLowerCase()] = token.substring(eq + 1).replace(/^"|"$/g, '');
+    }
+    results[match[1].toLowerCase()].push({ result: match[2].toLowerCase(), props });
+  }
+
+  return { authServId, instance, results };
+}
+
+/**
+ * Relaxed DMARC-style alignment: same domain, or one is a subdomain of the other
+ */
+function isDomainAligned(domain, fromDomain) {
+  if (!domain || !fromDomain) return false;
+  domain = domain.toLowerCase().replace(/^@/, '');
+  return domain === fromDomain || fromDomain.endsWith('.' + domain) || domain.endsWith('.' + fromDomain);
+}
+
+/**
+ * Decides whether a set of parsed results authenticates the From domain:
+ * DMARC pass, or an aligned DKIM pass, or an aligned SPF pass
+ */
+function evaluateAuthResults(results, fromDomain) {
+  if (results.dmarc.some(r => r.result === 'pass')) {
+    return 'dmarc';
+  }
+
+  const dkimDomain = r => r.props['header.d'] || (r.props['header.i'] || '').split('@').pop();
+  if (results.dkim.some(r => r.result === 'pass' && isDomainAligned(dkimDomain(r), fromDomain))) {
+    return 'dkim';
+  }
+
+  const spfDomain = r => (r.props['smtp.mailfrom'] || '').split('@').pop();
+  if (results.spf.some(r => r.result === 'pass' && isDomainAligned(spfDomain(r), fromDomain))) {
+    return 'spf';
+  }
+
+  return null;
+}
+
+/**
+ * Checks who really sent an email
+ *
+ * Mail read over IMAP: Authentication-Results headers are only believed when
+ * added by a trusted receiving server (SENDER_AUTH_SERV_IDS, e.g.
+ * mx.google.com) - any other header could have been written by the sender,
+ * so without that list no header is trusted. ARC results are used (highest
+ * instance first) only from a trusted server, for mail that passed through a
+ * forwarder or mailing list.
+ *
+ * Mail from an inbound-mail webhook never passed our own receiving server, so
+ * headers inside the message are ignored; the provider's verdict (SendGrid's
+ * SPF/dkim fields, from the signed payload) is used instead, plus a local
+ * DKIM check of the raw MIME when the provider sent it.
+ *
+ * With SENDER_AUTH_VERIFY_DKIM on, DKIM signatures are also verified locally
+ * against DNS.
+ *
+ * @param {Object} parsed - Parsed email (headers, from)
+ * @param {Buffer|string|null} raw - Raw message for local DKIM verification
+ * @param {Object|null} provider - Webhook source { name, results } where results is a
+ *   parseAuthenticationResults()-shaped verdict from the provider's fields (or null)
+ * @returns {Promise<Object>} { passed, method, source, authServId, fromDomain, spf, dkim, dmarc, reason }
+ */
+async function checkSenderAuthentication(parsed, raw = null, provider = null) {
+  const fromAddress = parsed.from?.value?.[0]?.address || '';
+  const fromDomain = fromAddress.split('@').pop().toLowerCase();
+  const trusted = CONFIG.senderAuth.trustedAuthServIds;
+  const verdict = {
+    passed: false,
+    method: null,
+    source: 'none',
+    authServId: null,
+    fromDomain: fromDomain || null,
+    spf: null,
+    dkim: null,
+    dmarc: null,
+    reason: null
+  };
+
+  if (!fromDomain) {
+    verdict.reason = 'no From address';
+    return verdict;
+  }
+
+  const headerValues = name => {
+    const value = parsed.headers?.get(name);
+    if (!value) return [];
+    return (Array.isArray(value) ? value : [value]).map(v => (typeof v === 'string' ? v : v.value || String(v)));
+  };
+
+  const candidates = [];
+  if (provider) {
+    if (provider.results) candidates.push({ ...provider.results, webhook: true });
+  } else {
+    headerValues('authentication-results')
+      .map(parseAuthenticationResults)
+      .filter(ar => trusted.includes(ar.authServId))
+      .forEach(ar => candidates.push(ar));
+    headerValues('arc-authentication-results')
+      .map(parseAuthenticationResults)
+      .filter(ar => trusted.includes(ar.authServId))
+      .sort((a, b) => (b.instance || 0) - (a.instance || 0))
+      .forEach(ar => candidates.push({ ...ar, arc: true }));
+  }
+  const sourceOf = ar => ar.webhook ? 'webhook' : ar.arc ? 'arc' : 'authentication-results';
+
+  for (const ar of candidates) {
+    const method = evaluateAuthResults(ar.results, fromDomain);
+    if (!verdict.authServId) {
+      // Report the first trusted header's raw results even when it fails
+      verdict.authServId = ar.authServId;
+      verdict.source = sourceOf(ar);
+      verdict.spf = ar.results.spf[0]?.result || null;
+      verdict.dkim = ar.results.dkim[0]?.result || null;
+      verdict.dmarc = ar.results.dmarc[0]?.result || null;
+    }
+    if (method) {
+      Object.assign(verdict, {
+        passed: true,
+        method,
+        source: sourceOf(ar),
+        authServId: ar.authServId,
+        spf: ar.results.spf[0]?.result || null,
+        dkim: ar.results.dkim[0]?.result || null,
+        dmarc: ar.results.dmarc[0]?.result || null
+      });
+      return verdict;
+    }
+  }
+
+  // Webhook mail has no trusted header to fall back on
+  if ((CONFIG.senderAuth.verifyDkim || provider) && raw) {
+    try {
+      const { results } = await dkimVerify(raw);
+      const aligned = results.find(r => r.status?.result === 'pass' && isDomainAligned(r.signingDomain, fromDomain));
+      if (aligned) {
+        Object.assign(verdict, { passed: true, method: 'dkim', source: 'local-dkim', dkim: 'pass' });
+        return verdict;
+      }
+      if (!verdict.dkim && results.length > 0) {
+        verdict.dkim = results[0].status?.result || null;
+      }
+    } catch (error) {
+      console.error('  ⚠️  Local DKIM verification failed:', error.message);
+    }
+  }
+
+  if (candidates.length > 0 || verdict.dkim) {
+    verdict.reason = `no DMARC pass or aligned DKIM/SPF pass for ${fromDomain}`;
+  } else if (provider) {
+    verdict.reason = `no ${provider.name} SPF/DKIM verdict${raw ? '' : ' and no raw MIME to verify DKIM'}`;
+  } else {
+    verdict.reason = trusted.length > 0 ? 'no trusted Authentication-Results header' : 'SENDER_AUTH_SERV_IDS is not set';
+  }
+  return verdict;
+}
+
+// Forwarded-within-forwarded limit for message/rfc822 recursion
+const MAX_EMBEDDED_MESSAGE_DEPTH = 5;
+
+/**
+ * Collects every attachment of an email, descending into attached
+ * message/rfc822 parts (emails forwarded "as attachment")
+ *
+ * Attachments found inside a forwarded message get a sourcePath such as
+ * "orig.eml > credit.pdf", and the parsed inner messages are returned so
+ * routing can use their original sender and subject.
+ *
+ * @param {Object} parsed - simpleParser result
+ * @param {number} depth - Current nesting depth
+ * @param {string} parentPath - sourcePath of the enclosing message
+ * @returns {Promise<Object>} { attachments, embeddedMessages }
+ */
+async function collectAttachments(parsed, depth = 0, parentPath = '') {
+  const attachments = [];
+  const embeddedMessages = [];
+
+  for (const att of parsed.attachments || []) {
+    const isMessage = att.contentType === 'message/rfc822';
+    const name = att.filename || (isMessage ? 'forwarded.eml' : 'attachment');
+    const sourcePath = parentPath ? parentPath + ' > ' + name : name;
+
+    if (!isMessage) {
+      attachments.push({ ...att, filename: att.filename || name, sourcePath });
+      continue;
+    }
+
+    if (depth >= MAX_EMBEDDED_MESSAGE_DEPTH) {
+      console.log(`  ⚠️  Skipping forwarded message nested too deep: ${sourcePath}`);
+      continue;
+    }
+
+    try {
+      const inner = await simpleParser(att.content);
+      console.log(`  📨 Forwarded message: ${sourcePath} (From: ${inner.from?.text || 'Unknown'}, Subject: ${inner.subject || 'No Subject'})`);
+      embeddedMessages.push(inner);
+
+      const nested = await collectAttachments(inner, depth + 1, sourcePath);
+      attachments.push(...nested.attachments);
+      embeddedMessages.push(...nested.embeddedMessages);
+    } catch (error) {
+      console.error(`  ⚠️  Could not parse forwarded message ${sourcePath}:`, error.message);
+    }
+  }
+
+  return { attachments, embeddedMessages };
+}
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]); // PK\x03\x04
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+
+// Image signatures → format
+const IMAGE_SIGNATURES = [
+  { format: 'jpeg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  { format: 'png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { format: 'tiff', signature: Buffer.from([0x49, 0x49, 0x2a, 0x00]) }, // little-endian "II*\0"
+  { format: 'tiff', signature: Buffer.from([0x4d, 0x4d, 0x00, 0x2a]) } // big-endian "MM\0*"
+];
+
+/**
+ * Classifies an attachment by its content, using filename and MIME type as
+ * secondary signals
+ *
+ * Vendors' mail systems label PDFs as application/octet-stream or attach
+ * them as "CREDIT.PDF" with a generic type, so the file signature decides:
+ * - %PDF- within the first 1 KB (the PDF spec allows leading junk) → pdf
+ * - PK\x03\x04 at the start → zip
+ * - JPEG/PNG/TIFF signature at the start → image (with format)
+ * Files that only *claim* to be a PDF/ZIP (extension or MIME type) without
+ * the signature are ignored, with the reason recorded.
+ *
+ * @param {Object} att - Attachment ({ filename, contentType, content })
+ * @returns {Object} { type: 'pdf' | 'zip' | 'image' | 'other', format, reason }
+ */
+function classifyAttachment(att) {
+  const content = att.content || Buffer.alloc(0);
+  const filename = att.filename || '';
+  const contentType = (att.contentType || '').toLowerCase();
+
+  const hasPdfSignature = content.subarray(0, 1024).indexOf(PDF_SIGNATURE) !== -1;
+  const hasZipSignature = content.subarray(0, 4).equals(ZIP_SIGNATURE);
+  const claimsPdf = contentType === 'application/pdf' || /\.pdf$/i.test(filename);
+  const claimsZip = ZIP_MIME_TYPES.includes(contentType) || /\.zip$/i.test(filename);
+
+  if (hasPdfSignature) {
+    return { type: 'pdf', reason: claimsPdf ? 'PDF signature' : `PDF signature (labelled ${contentType || 'no type'})` };
+  }
+  if (hasZipSignature) {
+    return { type: 'zip', reason: claimsZip ? 'ZIP signature' : `ZIP signature (labelled ${contentType || 'no type'})` };
+  }
+  const image = IMAGE_SIGNATURES.find(({ signature }) => content.subarray(0, signature.length).equals(signature));
+  if (image) {
+    return { type: 'image', format: image.format, reason: `${image.format.toUpperCase()} signature` };
+  }
+  if (content.length === 0) {
+    return { type: 'other', reason: 'empty attachment' };
+  }
+  if (claimsPdf) {
+    return { type: 'other', reason: `labelled as PDF (${contentType || 'no type'}) but missing %PDF- signature` };
+  }
+  if (claimsZip) {
+    return { type: 'other', reason: `labelled as ZIP (${contentType || 'no type'}) but missing ZIP signature` };
+  }
+  return { type: 'other', reason: `not a PDF (${contentType || 'no type'})` };
+}
+
+/**
+ * Decodes every page of a (possibly multi-page) TIFF into PNG buffers
+ * Fax TIFFs (CCITT G3/G4) are handled by UTIF
+ */
+function tiffToPngPages(buffer) {
+  const ifds = UTIF.decode(buffer);
+
+  return ifds.map((ifd) => {
+    UTIF.decodeImage(buffer, ifd);
+    const rgba = UTIF.toRGBA8(ifd);
+    const png = new PNG({ width: ifd.width, height: ifd.height });
+    png.data = Buffer.from(rgba);
+    return PNG.sync.write(png);
+  });
+}
+
+/**
+ * Converts a scanned image attachment into the shapes the pipeline needs:
+ * page images for Claude (image content blocks) and a PDF built with pdf-lib
+ * so the NetSuite upload still receives a PDF artifact. Multi-page TIFFs
+ * become one image block and one PDF page per TIFF page.
+ *
+ * @param {Object} att - Image attachment
+ * @param {string} format - jpeg, png or tiff (from classifyAttachment)
+ * @returns {Promise<Object>} PDF attachment with images ({ mediaType, data }) and convertedFrom
+ */
+async function convertImageAttachment(att, format) {
+  const pages = format === 'tiff'
+    ? tiffToPngPages(att.content).map(data => ({ mediaType: 'image/png', data }))
+    : [{ mediaType: 'image/' + format, data: att.content }];
+
+  const pdfDoc = await PDFDocument.create();
+  // Fixed dates so converting the same scan again gives the same bytes (and SHA-256)
+  pdfDoc.setCreationDate(new Date(0));
+  pdfDoc.setModificationDate(new Date(0));
+  const LETTER = [612, 792];
+
+  for (const pageImage of pages) {
+    const embedded = pageImage.mediaType === 'image/jpeg'
+      ? await pdfDoc.embedJpg(pageImage.data)
+      : await pdfDoc.embedPng(pageImage.data);
+
+    // Fit the scan onto a letter-size page, keeping its aspect ratio
+    const scale = Math.min(LETTER[0] / embedded.width, LETTER[1] / embedded.height);
+    const width = embedded.width * scale;
+    const height = embedded.height * scale;
+    const page = pdfDoc.addPage(LETTER);
+    page.drawImage(embedded, {
+      x: (LETTER[0] - width) / 2,
+      y: (LETTER[1] - height) / 2,
+      width,
+      height
+    });
+  }
+
+  const baseName = path.basename(att.filename, path.extname(att.filename));
+
+  return {
+    ...att,
+    filename: baseName + '.pdf',
+    contentType: 'application/pdf',
+    content: Buffer.from(await pdfDoc.save()),
+    images: pages,
+    convertedFrom: format
+  };
+}
+
+/**
+ * Picks the documents to process out of an attachment list, logging why
+ * everything else was ignored
+ *
+ * PDFs pass through; scanned images (JPEG/PNG/TIFF) are converted by
+ * convertImageAttachment(). Inline images and images under
+ * CONFIG.images.minBytes are treated as logos/signatures and skipped.
+ *
+ * @returns {Promise<Array<Object>>} PDF attachments (contentType normalized to application/pdf)
+ */
+async function selectDocumentAttachments(attachments) {
+  const documents = [];
+
+  for (const att of attachments) {
+    const label = att.sourcePath || att.filename;
+    const { type, format, reason } = classifyAttachment(att);
+
+    if (type === 'pdf') {
+      documents.push({ ...att, contentType: 'application/pdf' });
+      continue;
+    }
+
+    if (type !== 'image') {
+      console.log(`  ⏭️  Ignoring attachment ${label}: ${reason}`);
+      continue;
+    }
+
+    if (!CONFIG.images.enabled) {
+      console.log(`  ⏭️  Ignoring attachment ${label}: image processing disabled (PROCESS_IMAGE_ATTACHMENTS=false)`);
+    } else if (att.related || att.contentDisposition === 'inline') {
+      console.log(`  ⏭️  Ignoring attachment ${label}: inline ${format} image (logo/signature)`);
+    } else if (att.content.length < CONFIG.images.minBytes) {
+      console.log(`  ⏭️  Ignoring attachment ${label}: ${format} image under ${CONFIG.images.minBytes} bytes`);
+    } else {
+      try {
+        const converted = await convertImageAttachment(att, format);
+        console.log(`  🖼️  Converted ${format.toUpperCase()} ${label} → ${converted.filename} (${converted.images.length} page(s))`);
+        documents.push(converted);
+      } catch (error) {
+        console.error(`  ⏭️  Ignoring attachment ${label}: could not convert ${format} image - ${error.message}`);
+      }
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Unpacks a ZIP archive in memory
+ *
+ * Rejects the whole archive when it exceeds CONFIG.zip limits: entry count,
+ * per-entry size or total uncompressed size. Declared sizes are checked up
+ * front and actual inflated bytes are counted too, so an archive that lies
+ * about its sizes is caught while decompressing.
+ *
+ * @param {Buffer} buffer - ZIP file contents
+ * @returns {Promise<Array<Object>>} { path, content } per file entry
+ */
+function readZipEntries(buffer) {
+  const limits = CONFIG.zip;
+
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, validateEntrySizes: true }, (err, zipfile) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      if (zipfile.entryCount > limits.maxEntries) {
+        zipfile.close();
+        reject(new Error(`archive has ${zipfile.entryCount} entries (limit ${limits.maxEntries})`));
+        return;
+      }
+
+      const entries = [];
+      let totalBytes = 0;
+      let failed = false;
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        zipfile.close();
+        reject(error);
+      };
+
+      zipfile.on('entry', (entry) => {
+        // Directories carry no content
+        if (/\/$/.test(entry.fileName)) {
+          zipfile.readEntry();
+          return;
+        }
+
+        if (entry.isEncrypted()) {
+          console.log(`  ⚠️  Skipping encrypted ZIP entry: ${entry.fileName}`);
+          zipfile.readEntry();
+          return;
+        }
+
+        if (entry.uncompressedSize > limits.maxEntryBytes) {
+          fail(new Error(`entry ${entry.fileName} is ${entry.uncompressedSize} bytes (limit ${limits.maxEntryBytes})`));
+          return;
+        }
+
+        zipfile.openReadStream(entry, (streamErr, stream) => {
+          if (streamErr) {
+            fail(streamErr);
+            return;
+          }
+
+          const chunks = [];
+          stream.on('data', (chunk) => {
+            totalBytes += chunk.length;
+            if (totalBytes > limits.maxTotalBytes) {
+              stream.destroy(new Error(`archive expands past ${limits.maxTotalBytes} bytes`));
+              return;
+            }
+            chunks.push(chunk);
+          });
+          stream.on('error', fail);
+          stream.on('end', () => {
+            entries.push({ path: entry.fileName, content: Buffer.concat(chunks) });
+            zipfile.readEntry();
+          });
+        });
+      });
+
+      zipfile.on('error', fail);
+      zipfile.on('end', () => {
+        if (!failed) resolve(entries);
+      });
+
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Replaces ZIP attachments with the files they contain
+ *
+ * Each unpacked file keeps an archive reference ({ name, entryPath }) and a
+ * sourcePath like "credits.zip > March/CM123.pdf" for the result metadata.
+ * Nested archives are not unpacked. Archives that fail to open or exceed the
+ * limits become zip_failed attachment results, so the email is reported as
+ * incomplete (retried, then the vendor is told) instead of losing them.
+ *
+ * @param {Array<Object>} attachments - Attachments from collectAttachments()
+ * @returns {Promise<Object>} { attachments, failures } - attachments with ZIPs expanded;
+ *   failures are attachment results with status zip_failed
+ */
+async function expandZipAttachments(attachments) {
+  const expanded = [];
+  const failures = [];
+
+  for (const att of attachments) {
+    if (classifyAttachment(att).type !== 'zip') {
+      expanded.push(att);
+      continue;
+    }
+
+    try {
+      const entries = await readZipEntries(att.content);
+      console.log(`  🗜️  Unpacked ${att.sourcePath}: ${entries.length} file(s)`);
+
+      for (const entry of entries) {
+        const filename = path.basename(entry.path);
+        if (classifyAttachment({ filename, content: entry.content }).type === 'zip') {
+          console.log(`  ⚠️  Skipping nested archive: ${att.sourcePath} > ${entry.path}`);
+          continue;
+        }
+
+        expanded.push({
+          filename,
+          contentType: 'application/octet-stream', // classified by content downstream
+          content: entry.content,
+          size: entry.content.length,
+          sourcePath: `${att.sourcePath} > ${entry.path}`,
+          archive: { name: att.filename, entryPath: entry.path }
+        });
+      }
+    } catch (error) {
+      console.error(`  ✗ Could not unpack ZIP ${att.sourcePath}:`, error.message);
+      failures.push({
+        filename: att.filename,
+        sourcePath: att.sourcePath,
+        sha256: crypto.createHash('sha256').update(att.content).digest('hex'),
+        status: 'zip_failed',
+        error: error.message,
+        invoiceNumber: null,
+        pdfFileId: null
+      });
+    }
+  }
+
+  return { attachments: expanded, failures };
+}
+
+// PDF pre-flight: every PDF is opened with pdf-lib before the Claude request,
+// so encrypted, corrupt and oversized files fail with their own status
+// instead of an opaque API error
+
+/**
+ * Opens a PDF for pre-flight, decrypting it when needed
+ *
+ * Encrypted PDFs are tried with the empty password first (owner-password-only
+ * PDFs with print/copy restrictions open with it), then each configured one.
+ *
+ * @param {Buffer} content - PDF bytes
+ * @param {Array<string>} passwords - Passwords configured for the processor
+ * @returns {Promise<Object>} { doc, pageCount, decrypted } or { status, error }
+ */
+async function openPdf(content, passwords) {
+  let doc;
+  try {
+    doc = await PDFDocument.load(content, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    return { status: 'pdf_corrupt', error: `cannot be parsed: ${error.message}` };
+  }
+
+  let decrypted = false;
+  if (doc.isEncrypted) {
+    doc = null;
+    for (const password of ['', ...passwords]) {
+      try {
+        doc = await PDFDocument.load(content, { password, updateMetadata: false });
+        break;
+      } catch (error) {
+        // Wrong password - try the next one
+      }
+    }
+
+    if (!doc) {
+      return passwords.length > 0
+        ? { status: 'pdf_password_rejected', error: `encrypted; none of the ${passwords.length} configured password(s) opened it` }
+        : { status: 'pdf_encrypted', error: 'encrypted and no password is configured for this processor (PDF_PASSWORDS)' };
+    }
+    decrypted = true;
+  }
+
+  // pdf-lib recovers what it can from damaged files; no page tree means nothing to read
+  let pageCount = 0;
+  try {
+    pageCount = doc.getPageCount();
+  } catch (error) {
+    // Missing or broken page tree
+  }
+  if (pageCount === 0) {
+    return { status: 'pdf_corrupt', error: 'no readable pages' };
+  }
+
+  return { doc, pageCount, decrypted };
+}
+
+/**
+ * Copies pages into a new unencrypted PDF
+ * Metadata is not updated, so the same pages always produce the same bytes
+ * (and SHA-256) - retries and the dedup index depend on that
+ */
+async function copyPdfPages(doc, pageIndices) {
+  const copy = await PDFDocument.create({ updateMetadata: false });
+  const pages = await copy.copyPages(doc, pageIndices);
+  pages.forEach(page => copy.addPage(page));
+  return Buffer.from(await copy.save());
+}
+
+// Rendering widths tried, largest first, for a page over PDF_MAX_BYTES
+// (about 200, 150 and 100 dpi for a letter/A4 page)
+const PDF_RASTER_WIDTHS = [1700, 1275, 850];
+
+/**
+ * Downsamples one oversized page (typically a high-resolution scan) by
+ * rendering it to an image and wrapping that in a new one-page PDF, at the
+ * largest width in PDF_RASTER_WIDTHS that fits CONFIG.pdf.maxBytes. The
+ * page's text layer is lost - Claude reads the image.
+ *
+ * @returns {Promise<Buffer|null>} The downsampled PDF, or null when even the smallest rendering is too big
+ */
+async function rasterizePdfPage(doc, pageIndex) {
+  const parser = new PDFParse({ data: await copyPdfPages(doc, [pageIndex]) });
+  try {
+    const { width } = doc.getPage(pageIndex).getSize();
+    for (const desiredWidth of PDF_RASTER_WIDTHS) {
+      const { pages } = await parser.getScreenshot({ desiredWidth, imageDataUrl: false });
+      const image = pages[0];
+
+      const raster = await PDFDocument.create({ updateMetadata: false });
+      const png = await raster.embedPng(image.data);
+      const height = width * image.height / image.width;
+      raster.addPage([width, height]).drawImage(png, { x: 0, y: 0, width, height });
+      const content = Buffer.from(await raster.save());
+      if (content.length <= CONFIG.pdf.maxBytes) {
+        return content;
+      }
+    }
+    return null;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Splits pages into PDFs within CONFIG.pdf.maxPages and CONFIG.pdf.maxBytes
+ * Chunks by page count first, then halves any part that is still too big;
+ * a single page that is still too big is downsampled (rasterizePdfPage()).
+ *
+ * @returns {Promise<Array<Object>|null>} { pageIndices, content, downsampled } per part,
+ *   or null when a single page is over the byte limit even after downsampling
+ */
+async function splitPdfPages(doc, pageIndices) {
+  if (pageIndices.length > CONFIG.pdf.maxPages) {
+    const parts = [];
+    for (let i = 0; i < pageIndices.length; i += CONFIG.pdf.maxPages) {
+      const chunk = await splitPdfPages(doc, pageIndices.slice(i, i + CONFIG.pdf.maxPages));
+      if (!chunk) return null;
+      parts.push(...chunk);
+    }
+    return parts;
+  }
+
+  const content = await copyPdfPages(doc, pageIndices);
+  if (content.length <= CONFIG.pdf.maxBytes) {
+    return [{ pageIndices, content, downsampled: false }];
+  }
+  if (pageIndices.length === 1) {
+    const downsampled = await rasterizePdfPage(doc, pageIndices[0]);
+    return downsampled ? [{ pageIndices, content: downsampled, downsampled: true }] : null;
+  }
+
+  const half = Math.ceil(pageIndices.length / 2);
+  const first = await splitPdfPages(doc, pageIndices.slice(0, half));
+  const second = first && await splitPdfPages(doc, pageIndices.slice(half));
+  return second ? [...first, ...second] : null;
+}
+
+/**
+ * Pre-flight checks PDFs before they are sent to Claude
+ *
+ * Detects encryption (decrypted with the processor's PDF_PASSWORDS), parse
+ * errors, page count and byte size. PDFs over PDF_MAX_PAGES or PDF_MAX_BYTES
+ * are split into parts that each fit one Claude request, and single pages
+ * still over PDF_MAX_BYTES are downsampled to an image. PDFs that pass as-is
+ * keep their original bytes (and SHA-256); PDFs generated from images or the
+ * email body are not checked.
+ *
+ * @param {Array<Object>} documents - Output of selectDocumentAttachments()
+ * @param {Object} processor - Matched processor (selects the passwords)
+ * @returns {Promise<Object>} { attachments, failures } - failures have a
+ *   pdf_encrypted, pdf_password_rejected, pdf_corrupt or pdf_too_large status
+ */
+async function preflightPdfAttachments(documents, processor) {
+  const passwords = [...(CONFIG.pdf.passwords[processor.name] || []), ...(CONFIG.pdf.passwords['*'] || [])];
+  const attachments = [];
+  const failures = [];
+
+  for (const pdf of documents) {
+    if (pdf.convertedFrom) {
+      attachments.push(pdf);
+      continue;
+    }
+
+    const label = pdf.sourcePath || pdf.filename;
+    const sha256 = crypto.createHash('sha256').update(pdf.content).digest('hex');
+    const fail = (status, error) => {
+      console.error(`  ✗ Pre-flight ${label}: ${status} - ${error}`);
+      failures.push({
+        filename: pdf.filename,
+        sourcePath: label,
+        sha256,
+        status,
+        error,
+        invoiceNumber: null,
+        pdfFileId: null
+      });
+    };
+
+    const opened = await openPdf(pdf.content, passwords);
+    if (opened.status) {
+      fail(opened.status, opened.error);
+      continue;
+    }
+
+    const { doc, pageCount, decrypted } = opened;
+    const oversized = pdf.content.length > CONFIG.pdf.maxBytes || pageCount > CONFIG.pdf.maxPages;
+    if (decrypted) {
+      console.log(`  🔓 Decrypted ${label}`);
+    }
+
+    if (!oversized) {
+      attachments.push(decrypted
+        ? { ...pdf, content: await copyPdfPages(doc, doc.getPageIndices()), decrypted: true }
+        : pdf);
+      continue;
+    }
+
+    let parts;
+    try {
+      parts = await splitPdfPages(doc, doc.getPageIndices());
+    } catch (error) {
+      fail('pdf_too_large', `${pdf.content.length} bytes / ${pageCount} pages; an oversized page could not be downsampled (${error.message})`);
+      continue;
+    }
+    if (!parts) {
+      fail('pdf_too_large', `${pdf.content.length} bytes / ${pageCount} pages; a single page is over PDF_MAX_BYTES (${CONFIG.pdf.maxBytes}) even downsampled to ${PDF_RASTER_WIDTHS[PDF_RASTER_WIDTHS.length - 1]}px`);
+      continue;
+    }
+
+    const downsampledPages = parts.filter(part => part.downsampled).map(part => part.pageIndices[0] + 1);
+    if (downsampledPages.length > 0) {
+      console.log(`  🖼️  Downsampled oversized page(s) ${downsampledPages.join(', ')} of ${label}`);
+    }
+
+    if (parts.length === 1) {
+      attachments.push({ ...pdf, content: parts[0].content, size: parts[0].content.length, decrypted, downsampled: parts[0].downsampled });
+      continue;
+    }
+
+    console.log(`  ✂️  Split ${label} (${pdf.content.length} bytes, ${pageCount} pages) into ${parts.length} part(s)`);
+    const stem = path.basename(pdf.filename, path.extname(pdf.filename));
+    parts.forEach((part, i) => {
+      attachments.push({
+        ...pdf,
+        filename: `${stem} (part ${i + 1} of ${parts.length}).pdf`,
+        content: part.content,
+        size: part.content.length,
+        decrypted,
+        downsampled: part.downsampled,
+        split: {
+          part: i + 1,
+          of: parts.length,
+          pages: `${part.pageIndices[0] + 1}-${part.pageIndices[part.pageIndices.length - 1] + 1}`,
+          originalSha256: sha256
+        }
+      });
+    });
+  }
+
+  return { attachments, failures };
+}
+
+/**
+ * Pulls candidate URLs out of an email body: href attributes from the HTML
+ * part plus bare http(s) URLs from the text part
+ */
+function extractBodyUrls(email) {
+  const urls = [];
+
+  if (email.html) {
+    const hrefPattern = /href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    let match;
+    while ((match = hrefPattern.exec(email.html)) !== null) {
+      urls.push((match[1] || match[2] || match[3]).replace(/&amp;/g, '&').trim());
+    }
+  }
+
+  if (email.text) {
+    urls.push(...(email.text.match(/https?:\/\/[^\s<>"')\]]+/gi) || []));
+  }
+
+  return urls;
+}
+
+/**
+ * Strips the query string and fragment for logs and metadata - portal links
+ * often carry access tokens
+ */
+function redactUrl(url) {
+  return url.origin + url.pathname;
+}
+
+/**
+ * Checks a URL against a domain allowlist (exact host or any subdomain)
+ * Only https links are ever followed.
+ */
+function isAllowedUrl(url, allowedDomains) {
+  if (url.protocol !== 'https:') return false;
+  const host = url.hostname.toLowerCase();
+  return allowedDomains.some(domain => host === domain || host.endsWith('.' + domain));
+}
+
+/**
+ * Picks a filename for a downloaded document from Content-Disposition, or
+ * the last URL path segment. A malformed %-escape is kept as it is.
+ */
+function getDownloadFilename(headers, url) {
+  const decode = value => {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  };
+
+  const disposition = headers['content-disposition'] || '';
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition);
+  if (match) {
+    return path.basename(decode(match[1]));
+  }
+
+  const lastSegment = decode(url.pathname.split('/').filter(Boolean).pop() || '');
+  return lastSegment || 'linked-document';
+}
+
+/**
+ * Downloads one linked document
+ *
+ * Redirects are followed by hand (up to CONFIG.links.maxRedirects) so every
+ * hop is checked against the allowlist. Responses are capped at
+ * CONFIG.links.maxBytes and CONFIG.links.timeoutMs.
+ *
+ * @param {URL} url - Link to download (already allowlisted)
+ * @param {Array<string>} allowedDomains - Domains redirects may go to
+ * @returns {Promise<Object>} { content, contentType, filename, finalUrl }
+ */
+async function downloadLinkedFile(url, allowedDomains) {
+  let current = url;
+
+  for (let hop = 0; hop <= CONFIG.links.maxRedirects; hop++) {
+    const response = await axios.get(current.href, {
+      responseType: 'arraybuffer',
+      timeout: CONFIG.links.timeoutMs,
+      maxContentLength: CONFIG.links.maxBytes,
+      maxRedirects: 0,
+      validateStatus: status => status >= 200 && status < 400
+    });
+
+    if (response.status >= 300) {
+      if (!response.headers.location) {
+        throw new Error(`redirect ${response.status} without a Location header`);
+      }
+      const next = new URL(response.headers.location, current);
+      if (!isAllowedUrl(next, allowedDomains)) {
+        const error = new Error(`redirected to ${next.hostname}, which is not an allowed domain`);
+        error.permanent = true;
+        throw error;
+      }
+      current = next;
+      continue;
+    }
+
+    return {
+      content: Buffer.from(response.data),
+      contentType: (response.headers['content-type'] || '').split(';')[0].trim(),
+      filename: getDownloadFilename(response.headers, current),
+      finalUrl: current
+    };
+  }
+
+  const error = new Error(`more than ${CONFIG.links.maxRedirects} redirects`);
+  error.permanent = true;
+  throw error;
+}
+
+/**
+ * Downloads the invoices a processor's link rules find in the email body
+ *
+ * Portal-only vendors send a "View your credit memo" link instead of an
+ * attachment. URLs matching the processor's LINK_RULES patterns are
+ * downloaded (allowlisted https hosts only) and returned as attachments, so
+ * they go through the same ZIP/PDF/image handling as real attachments. The
+ * bodies of forwarded messages are searched too.
+ *
+ * Downloads that fail for transient reasons (timeouts, network errors, 5xx,
+ * 429) are returned as failures so the email is retried; links that are
+ * rejected outright (wrong domain, not a document, 4xx, too large) are
+ * logged and ignored.
+ *
+ * @param {Array<Object>} emails - Parsed outer email plus forwarded messages
+ * @param {Object} processor - Matched processor
+ * @returns {Promise<Object>} { attachments, failures } - failures are attachment results with status download_failed
+ */
+async function downloadLinkedDocuments(emails, processor) {
+  const rule = CONFIG.links.rules[processor.name];
+  if (!CONFIG.links.enabled || !rule) {
+    return { attachments: [], failures: [] };
+  }
+
+  const links = [];
+  for (const email of emails) {
+    for (const rawUrl of extractBodyUrls(email)) {
+      if (!rule.patterns.some(pattern => pattern.test(rawUrl))) continue;
+
+      let url;
+      try {
+        url = new URL(rawUrl);
+      } catch (error) {
+        continue;
+      }
+
+      if (!isAllowedUrl(url, rule.allowedDomains)) {
+        console.log(`  ⏭️  Ignoring link ${redactUrl(url)}: not https on an allowed domain`);
+        continue;
+      }
+      if (!links.some(link => link.href === url.href)) {
+        links.push(url);
+      }
+    }
+  }
+
+  if (links.length === 0) {
+    return { attachments: [], failures: [] };
+  }
+
+  if (links.length > CONFIG.links.maxLinks) {
+    console.log(`  ⚠️  Found ${links.length} matching links - downloading the first ${CONFIG.links.maxLinks}`);
+    links.length = CONFIG.links.maxLinks;
+  }
+
+  const attachments = [];
+  const failures = [];
+
+  for (const url of links) {
+    const label = 'link: ' + redactUrl(url);
+
+    try {
+      const file = await downloadLinkedFile(url, rule.allowedDomains);
+      const { type, reason } = classifyAttachment(file);
+
+      if (type === 'other') {
+        console.log(`  ⏭️  Ignoring ${label}: ${reason}`);
+        continue;
+      }
+
+      console.log(`  🔗 Downloaded ${label} → ${file.filename} (${file.content.length} bytes, ${type})`);
+      attachments.push({
+        filename: file.filename,
+        contentType: file.contentType || 'application/octet-stream',
+        content: file.content,
+        size: file.content.length,
+        sourcePath: label,
+        sourceUrl: redactUrl(file.finalUrl)
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      const transient = !error.permanent && (!status || status >= 500 || status === 429) &&
+        !/maxContentLength/i.test(error.message);
+
+      if (!transient) {
+        console.log(`  ⏭️  Ignoring ${label}: ${status ? 'HTTP ' + status : error.message}`);
+        continue;
+      }
+
+      console.error(`  ✗ Could not download ${label}:`, status ? 'HTTP ' + status : error.message);
+      failures.push({
+        filename: getDownloadFilename({}, url),
+        sourcePath: label,
+        sha256: null,
+        status: 'download_failed',
+        error: status ? 'HTTP ' + status : error.message,
+        invoiceNumber: null,
+        pdfFileId: null
+      });
+    }
+  }
+
+  return { attachments, failures };
+}
+
+/**
+ * Whether a processor treats the email body as the document when the email
+ * has no PDF (processor.bodyIsDocument or listed in BODY_DOCUMENT_PROCESSORS)
+ */
+function usesBodyDocument(processor) {
+  return !!processor.bodyIsDocument || CONFIG.bodyDocuments.processors.includes(processor.name);
+}
+
+/**
+ * Normalizes an email body into plain text
+ *
+ * HTML is preferred (tables keep their columns, images and styles are
+ * dropped); the text part is used when there is no HTML.
+ */
+function normalizeEmailBody(email) {
+  if (email.html) {
+    return htmlToText(email.html, {
+      wordwrap: false,
+      selectors: [
+        { selector: 'table', format: 'dataTable' },
+        { selector: 'img', format: 'skip' },
+        { selector: 'a', options: { ignoreHref: true } }
+      ]
+    }).trim();
+  }
+
+  return (email.text || '').trim();
+}
+
+/**
+ * Renders plain text into a letter-size PDF with pdf-lib
+ *
+ * A monospaced font keeps table columns from normalizeEmailBody() aligned.
+ * Long lines are wrapped and pages added as needed; characters the standard
+ * font cannot encode are replaced with "?". The PDF dates are pinned to the
+ * email date so re-rendering on a retry gives the same bytes (and SHA-256).
+ *
+ * @param {string} text - Document text
+ * @param {string} title - Heading printed on the first page
+ * @param {Date} date - Creation/modification date to embed
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function renderTextPdf(text, title, date) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.setTitle(title);
+  pdfDoc.setCreationDate(date);
+  pdfDoc.setModificationDate(date);
+  const font = await pdfDoc.embedFont(StandardFonts.Courier);
+
+  const LETTER = [612, 792];
+  const MARGIN = 40;
+  const FONT_SIZE = 9;
+  const LINE_HEIGHT = FONT_SIZE * 1.3;
+  const maxChars = Math.floor((LETTER[0] - MARGIN * 2) / font.widthOfTextAtSize('M', FONT_SIZE));
+
+  const encodable = new Map();
+  const sanitize = line => Array.from(line.replace(/\t/g, '    ')).map((ch) => {
+    if (!encodable.has(ch)) {
+      try {
+        font.encodeText(ch);
+        encodable.set(ch, true);
+      } catch (error) {
+        encodable.set(ch, false);
+      }
+    }
+    return encodable.get(ch) ? ch : '?';
+  }).join('');
+
+  const lines = [];
+  for (const rawLine of [title, '', ...text.split(/\r?\n/)]) {
+    const line = sanitize(rawLine);
+    if (line.length === 0) {
+      lines.push('');
+      continue;
+    }
+    for (let i = 0; i < line.length; i += maxChars) {
+      lines.push(line.substring(i, i + maxChars));
+    }
+  }
+
+  const linesPerPage = Math.floor((LETTER[1] - MARGIN * 2) / LINE_HEIGHT);
+  for (let start = 0; start < lines.length; start += linesPerPage) {
+    const page = pdfDoc.addPage(LETTER);
+    lines.slice(start, start + linesPerPage).forEach((line, index) => {
+      page.drawText(line, {
+        x: MARGIN,
+        y: LETTER[1] - MARGIN - FONT_SIZE - index * LINE_HEIGHT,
+        size: FONT_SIZE,
+        font
+      });
+    });
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Turns an email body into a document for the pipeline
+ *
+ * Claude receives the normalized text (bodyText); the rendered PDF is what
+ * gets saved and uploaded, so the File Cabinet still has a source document.
+ *
+ * @param {Object} email - Parsed email whose body is the document
+ * @param {string} subject - Subject used for the title and filename
+ * @returns {Promise<Object|null>} PDF attachment, or null when the body is empty
+ */
+async function buildBodyDocument(email, subject) {
+  const bodyText = normalizeEmailBody(email);
+  if (!bodyText) {
+    return null;
+  }
+
+  const title = subject || 'Email body';
+  const baseName = title.replace(/[^a-zA-Z0-9._-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 80) || 'email-body';
+
+  return {
+    filename: baseName + '.pdf',
+    contentType: 'application/pdf',
+    content: await renderTextPdf(bodyText, title, email.date || new Date(0)),
+    sourcePath: 'email body',
+    bodyText,
+    convertedFrom: email.html ? 'html' : 'text'
+  };
+}
+
+/**
+ * Validates that all line items have 8-digit original bill numbers
+ */
+function validateBillNumbers(extractedData) {
+  if (!extractedData || !extractedData.lineItems || !Array.isArray(extractedData.lineItems)) {
+    return { valid: true }; // No line items to validate
+  }
+
+  const invalidItems = [];
+  
+  for (let i = 0; i < extractedData.lineItems.length; i++) {
+    const item = extractedData.lineItems[i];
+    const billNumber = item.originalBillNumber;
+    
+    if (!billNumber || billNumber.length !== 8 || !/^\d{8}$/.test(billNumber)) {
+      invalidItems.push({
+        index: i,
+        narda: item.nardaNumber,
+        billNumber: billNumber || '(empty)',
+        length: billNumber ? billNumber.length : 0
+      });
+    }
+  }
+
+  if (invalidItems.length > 0) {
+    const details = invalidItems.map(item => 
+      `Line ${item.index + 1} (NARDA: ${item.narda}): "${item.billNumber}" is ${item.length} digits (need 8)`
+    ).join('; ');
+    
+    return {
+      valid: false,
+      reason: `Invalid bill numbers found: ${details}`,
+      invalidItems
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Processes a PDF with Claude API
+ *
+ * @param {Buffer} pdfBuffer - PDF file as buffer
+ * @param {string} filename - Name of the PDF file
+ * @param {string} emailSubject - Subject of the email containing the PDF
+ * @param {string} customPrompt - Optional custom prompt for processing
+ * @param {Object} options - Optional settings
+ * @param {Array<Object>} options.images - Page images ({ mediaType, data }) of a converted scan,
+ *   sent as image blocks instead of the PDF document block
+ * @param {string} options.text - Normalized email body, sent as text instead of the
+ *   rendered PDF when the body is the document
+ * @returns {Promise<Object>} Claude's analysis result
+ */
+async function processPdfWithClaude(pdfBuffer, filename, emailSubject, customPrompt = null, options = {}) {
+  console.log(`  📄 Processing PDF with Claude: ${filename} (${(pdfBuffer.length / 1024).toFixed(2)} KB)`);
+
+  // CRITICAL: Prompt must be provided from NetSuite configuration
+  if (!customPrompt) {
+    console.error('❌ CRITICAL ERROR: No Claude prompt provided for processing!');
+    console.error('   File:', filename);
+    console.error('   This PDF cannot be processed without a valid prompt.');
+    console.error('   Check NetSuite AP Assist Vendor Configuration record.');
+    return {
+      success: false,
+      error: 'NO_PROMPT_CONFIGURED',
+      message: 'Claude prompt is missing from processor configuration. Update NetSuite AP Assist Vendor Configuration record.',
+      filename,
+      emailSubject
+    };
+  }
+
+  // Document content: body text for email-body documents, page images for
+  // converted scans, otherwise the PDF itself
+  let documentBlocks;
+  if (options.text) {
+    documentBlocks = [{ type: 'text', text: 'Email body:\n\n' + options.text }];
+  } else if (options.images && options.images.length > 0) {
+    documentBlocks = options.images.map(image => ({
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: image.mediaType,
+        data: image.data.toString('base64')
+      }
+    }));
+  } else {
+    documentBlocks = [{
+      type: 'document',
+      source: {
+        type: 'base64',
+        media_type: 'application/pdf',
+        data: pdfBuffer.toString('base64')
+      }
+    }];
+  }
+
+  // Use prompt from NetSuite configuration (keep static for caching)
+  console.log(`  ✓ Using Claude prompt from NetSuite configuration (${customPrompt.length} characters)`);
+
+  try {
+    // Create message with prompt caching enabled
+    // IMPORTANT: Static prompt comes FIRST and is marked for caching
+    // This saves ~90% on prompt tokens for repeated processing!
+    const message = await anthropic.messages.create({
+      model: CONFIG.claude.model,
+      max_tokens: CONFIG.claude.maxTokens,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: customPrompt,
+              cache_control: { type: 'ephemeral' }  // Cache this prompt!
+            },
+            {
+              type: 'text',
+              text: '\n\nDocument: ' + filename
+            },
+            ...documentBlocks
+          ]
+        }
+      ]
+    });
+
+    // Extract text response
+    const analysis = message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+
+    // Log token usage with cache stats
+    const cacheStats = message.usage.cache_creation_input_tokens || message.usage.cache_read_input_tokens 
+      ? ' | Cache: ' + (message.usage.cache_creation_input_tokens || 0) + ' created, ' + (message.usage.cache_read_input_tokens || 0) + ' read'
+      : '';
+    
+    console.log(`  ✓ Analysis complete (${message.usage.input_tokens} in / ${message.usage.output_tokens} out tokens${cacheStats})`);
+
+    return {
+      success: true,
+      analysis,
+      filename,
+      emailSubject,
+      model: message.model,
+      usage: message.usage,
+      stopReason: message.stop_reason
+    };
+
+  } catch (error) {
+    console.error(`  ✗ Error processing PDF with Claude:`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      filename,
+      emailSubject
+    };
+  }
+}
+
+// Document classification: a cheap Claude call labels each PDF so one
+// sender's credit memos, invoices and statements reach different processors
+const CLASSIFICATION_PROMPT = `Classify this vendor document for accounts payable. Labels:
+- credit_memo: credit memo, credit note, warranty or return credit (money credited to us)
+- invoice: a bill requesting payment
+- statement: account statement listing several invoices, credits or balances
+- other: anything else (remittance advice, price list, terms, cover page, marketing)
+
+Reply with JSON only: {"label": "<label>", "confidence": <0.0-1.0>, "reason": "<a few words>"}`;
+
+/**
+ * Extracts the text layer of a PDF's first pages (empty for scans)
+ */
+async function extractPdfText(content, maxPages = 3) {
+  const parser = new PDFParse({ data: new Uint8Array(content) });
+  try {
+    const result = await parser.getText({ first: maxPages });
+    return result.pages.map(page => page.text).join('\n\n').trim();
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Labels one document with Claude (CLASSIFY_MODEL)
+ *
+ * Sends the text layer when there is enough of it (or the email body for
+ * body documents); scans are sent as their first page image or first PDF page.
+ *
+ * @param {Object} pdf - Document from preflightPdfAttachments()
+ * @returns {Promise<Object>} { label, confidence, reason, method, model }
+ */
+async function classifyDocument(pdf) {
+  let text = pdf.bodyText || '';
+  if (!text && !pdf.images) {
+    try {
+      text = await extractPdfText(pdf.content);
+    } catch (error) {
+      text = ''; // Unreadable text layer - fall back to the page itself
+    }
+  }
+
+  let method;
+  let documentBlocks;
+  if (text.replace(/\s+/g, '').length >= CONFIG.classification.minTextChars) {
+    method = pdf.bodyText ? 'email-body' : 'text-layer';
+    documentBlocks = [{ type: 'text', text: 'Document text:\n\n' + text.substring(0, CONFIG.classification.maxTextChars) }];
+  } else if (pdf.images && pdf.images.length > 0) {
+    method = 'first-page-image';
+    documentBlocks = [{
+      type: 'image',
+      source: { type: 'base64', media_type: pdf.images[0].mediaType, data: pdf.images[0].data.toString('base64') }
+    }];
+  } else {
+    method = 'first-page';
+    const doc = await PDFDocument.load(pdf.content, { updateMetadata: false });
+    const firstPage = await copyPdfPages(doc, [0]);
+    documentBlocks = [{
+      type: 'document',
+      source: { type: 'base64', media_type: 'application/pdf', data: firstPage.toString('base64') }
+    }];
+  }
+
+  const message = await anthropic.messages.create({
+    model: CONFIG.classification.model,
+    max_tokens: 200,
+    messages: [{
+      role: 'user',
+      content: [...documentBlocks, { type: 'text', text: CLASSIFICATION_PROMPT }]
+    }]
+  });
+
+  const answer = parseClaudeJson(message.content.filter(block => block.type === 'text').map(block => block.text).join('\n'));
+  return {
+    label: DOCUMENT_LABELS.includes(answer.label) ? answer.label : 'other',
+    confidence: Math.max(0, Math.min(1, Number(answer.confidence) || 0)),
+    reason: String(answer.reason || '').substring(0, 200),
+    method,
+    model: message.model
+  };
+}
+
+/**
+ * Routes each document to a processor by its content
+ *
+ * Only runs when CLASSIFY_RULES has an entry for the matched processor.
+ * Each document is labelled (credit_memo, invoice, statement, other) and sent
+ * to the processor its label routes to, or reported as ignored. Documents
+ * below minConfidence go to lowConfidence (the matched processor by default),
+ * as do documents that could not be classified. PDFs already in the dedup
+ * index are not classified - they are skipped as duplicates later anyway.
+ *
+ * @param {Array<Object>} documents - Output of preflightPdfAttachments()
+ * @param {Object} processor - Processor the document was routed to (see routeDocuments())
+ * @param {Object} options
+ * @param {boolean} options.force - Classify PDFs found in the dedup index too
+ * @returns {Promise<Object>} { groups: [{ processor, documents }], ignored } -
+ *   documents carry their classification; ignored are attachment results
+ */
+async function classifyDocuments(documents, processor, options = {}) {
+  const rule = CONFIG.classification.rules[processor.name];
+  if (!rule || documents.length === 0) {
+    return { groups: documents.length > 0 ? [{ processor, documents }] : [], ignored: [] };
+  }
+
+  const groups = new Map();
+  const ignored = [];
+  const addToGroup = (target, document) => {
+    if (!groups.has(target.name)) groups.set(target.name, { processor: target, documents: [] });
+    groups.get(target.name).documents.push(document);
+  };
+
+  for (const pdf of documents) {
+    const label = pdf.sourcePath || pdf.filename;
+    const sha256 = crypto.createHash('sha256').update(pdf.content).digest('hex');
+
+    if (!options.force && !CONFIG.dedup.override && await findProcessedPdf(sha256)) {
+      addToGroup(processor, pdf);
+      continue;
+    }
+
+    let classification;
+    let targetName;
+    try {
+      classification = await classifyDocument(pdf);
+      targetName = classification.confidence < rule.minConfidence
+        ? rule.lowConfidence
+        : rule.routes[classification.label] || processor.name;
+    } catch (error) {
+      console.error(`  ✗ Could not classify ${label}:`, error.message);
+      classification = { label: null, confidence: null, reason: null, method: null, error: error.message };
+      targetName = processor.name;
+    }
+
+    const lowConfidence = classification.label && classification.confidence < rule.minConfidence ? ', below ' + rule.minConfidence : '';
+    if (classification.label) {
+      console.log(`  🏷️  ${label}: ${classification.label} (${classification.confidence.toFixed(2)}${lowConfidence}, ${classification.method}) → ${targetName}`);
+    }
+
+    if (targetName === 'ignore') {
+      ignored.push({
+        filename: pdf.filename,
+        sourcePath: label,
+        sha256,
+        status: 'ignored',
+        error: null,
+        classification,
+        invoiceNumber: null,
+        pdfFileId: null
+      });
+      continue;
+    }
+
+    let target = targetName === processor.name ? processor : findProcessorByName(targetName);
+    if (!target) {
+      console.log(`  ⚠️  CLASSIFY_RULES routes to unknown or disabled processor "${targetName}" - using ${processor.name}`);
+      target = processor;
+    }
+    addToGroup(target, { ...pdf, classification });
+  }
+
+  return { groups: [...groups.values()], ignored };
+}
+
+/**
+ * Routes each document to its processors
+ *
+ * 1. Filename filters: each document goes to the first matched processor
+ *    (best first) whose attachment route accepts its filename; documents no
+ *    processor accepts are reported as unrouted (packing slips, terms...).
+ * 2. Pre-flight with that processor's passwords, then content classification
+ *    (CLASSIFY_RULES), which may move documents to other processors.
+ * 3. Fan-out: each processor's alsoSendTo gets a copy of its documents
+ *    (marked fanOutFrom; copies are not fanned out again).
+ *
+ * @param {Array<Object>} documents - Output of selectDocumentAttachments() (plus the body document)
+ * @param {Array<Object>} processors - Matched processors, best first
+ * @param {Object} options
+ * @param {boolean} options.force - Classify PDFs found in the dedup index too
+ * @param {boolean} options.filters - Apply filename filters (false when the processor was chosen explicitly)
+ * @returns {Promise<Object>} { groups: [{ processor, documents }], results } - results are the
+ *   attachment results for documents that need no extraction (unrouted, pre-flight failures, ignored)
+ */
+async function routeDocuments(documents, processors, options = {}) {
+  const results = [];
+  const routed = new Map();
+  for (const pdf of documents) {
+    // The email body document belongs to the processor that asked for it
+    const processor = options.filters === false || pdf.bodyText
+      ? processors[0]
+      : processors.find(candidate => acceptsAttachment(candidate, pdf.filename));
+
+    if (!processor) {
+      const filters = processors.map(candidate => `${candidate.name}: ${getAttachmentRoute(candidate).description || 'any'}`).join('; ');
+      console.log(`  ⏭️  ${pdf.sourcePath || pdf.filename}: no matched processor accepts this filename (${filters})`);
+      results.push({
+        filename: pdf.filename,
+        sourcePath: pdf.sourcePath || pdf.filename,
+        sha256: crypto.createHash('sha256').update(pdf.content).digest('hex'),
+        status: 'unrouted',
+        error: null,
+        invoiceNumber: null,
+        pdfFileId: null
+      });
+      continue;
+    }
+
+    if (processors.length > 1) {
+      console.log(`  🧭 ${pdf.sourcePath || pdf.filename} → ${processor.name}`);
+    }
+    if (!routed.has(processor)) routed.set(processor, []);
+    routed.get(processor).push(pdf);
+  }
+
+  const groups = new Map();
+  const addToGroup = (processor, document) => {
+    if (!groups.has(processor.name)) groups.set(processor.name, { processor, documents: [] });
+    groups.get(processor.name).documents.push(document);
+  };
+
+  for (const [processor, processorDocuments] of routed) {
+    // Encrypted, corrupt and oversized PDFs are handled before Claude
+    const preflight = await preflightPdfAttachments(processorDocuments, processor);
+    // Senders that mix document types get each PDF routed by its content
+    const classified = await classifyDocuments(preflight.attachments, processor, { force: options.force });
+
+    results.push(...preflight.failures.map(failure => ({ ...failure, processor: processor.name })), ...classified.ignored);
+    classified.groups.forEach(group => group.documents.forEach(document => addToGroup(group.processor, document)));
+  }
+
+  for (const group of [...groups.values()]) {
+    for (const targetName of getAttachmentRoute(group.processor).alsoSendTo) {
+      const target = findProcessorByName(targetName);
+      if (target === group.processor) continue;
+      if (!target) {
+        console.log(`  ⚠️  ${group.processor.name} fans out to unknown or disabled processor "${targetName}" - skipped`);
+        continue;
+      }
+      for (const document of group.documents.filter(document => !document.fanOutFrom)) {
+        console.log(`  📋 ${document.sourcePath || document.filename} → also ${target.name}`);
+        addToGroup(target, { ...document, fanOutFrom: group.processor.name });
+      }
+    }
+  }
+
+  return { groups: [...groups.values()], results };
+}
+
+/**
+ * Saves processed PDF to disk
+ */
+async function savePdf(buffer, filename, emailSubject) {
+  if (!CONFIG.output.saveProcessedPdfs) return;
+
+  await fs.mkdir(CONFIG.output.outputDir, { recursive: true });
+
+  // Sanitize filename
+  const sanitized = filename.replace(/[^a-z0-9.-]/gi, '_');
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const fullPath = path.join(CONFIG.output.outputDir, `${timestamp}_${sanitized}`);
+
+  await fs.writeFile(fullPath, buffer);
+  console.log(`  💾 Saved PDF to: ${fullPath}`);
+}
+
+/**
+ * Saves analysis results to disk
+ */
+async function saveResult(result) {
+  if (!CONFIG.output.saveResults) return;
+
+  await fs.mkdir(CONFIG.output.resultsDir, { recursive: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `analysis_${timestamp}.json`;
+  const fullPath = path.join(CONFIG.output.resultsDir, filename);
+
+  await fs.writeFile(fullPath, JSON.stringify(result, null, 2));
+  console.log(`  💾 Saved analysis to: ${fullPath}`);
+}
+
+/**
+ * Uploads PDF and extracted data to NetSuite via RESTlet
+ * metadata (source mailbox etc.) is sent alongside the standard payload fields
+ */
+async function uploadToNetSuite(pdfBuffer, filename, extractedData, emailSubject, folderIds = null, metadata = {}) {
+  if (!CONFIG.netsuite.enabled) {
+    console.log('  ℹ️  NetSuite upload disabled (set NETSUITE_ENABLED=true to enable)');
+    return { success: false, reason: 'disabled' };
+  }
+
+  try {
+    console.log('  📤 Uploading to NetSuite RESTlet...');
+
+    // Use processor-specific folder IDs or fall back to defaults
+    const pdfFolderId = folderIds?.pdfFolderId || CONFIG.netsuite.defaultPdfFolderId;
+    const jsonFolderId = folderIds?.jsonFolderId || CONFIG.netsuite.defaultJsonFolderId;
+    
+    if (pdfFolderId) {
+      console.log(`    PDF Folder ID: ${pdfFolderId}`);
+    }
+    if (jsonFolderId) {
+      console.log(`    JSON Folder ID: ${jsonFolderId}`);
+    }
+
+    // Create OAuth 1.0a signature
+    const oauth = OAuth({
+      consumer: {
+        key: CONFIG.netsuite.consumerKey,
+        secret: CONFIG.netsuite.consumerSecret
+      },
+      signature_method: 'HMAC-SHA256',
+      hash_function(base_string, key) {
+        return crypto
+          .createHmac('sha256', key)
+          .update(base_string)
+          .digest('base64');
+      }
+    });
+
+    const token = {
+      key: CONFIG.netsuite.tokenId,
+      secret: CONFIG.netsuite.tokenSecret
+    };
+
+    const requestData = {
+      url: CONFIG.netsuite.restletUrl,
+      method: 'POST'
+    };
+
+    const authHeader = oauth.toHeader(oauth.authorize(requestData, token));
+    authHeader.Authorization += ', realm="' + CONFIG.netsuite.accountId + '"';
+
+    // Prepare payload with folder IDs
+    const payload = {
+      ...metadata,
+      pdfBase64: pdfBuffer.toString('base64'),
+      pdfFilename: filename,
+      emailSubject: emailSubject,
+      extractedData: extractedData,
+      processedDate: new Date().toISOString(),
+      pdfFolderId: pdfFolderId,
+      jsonFolderId: jsonFolderId
+    };
+
+    // Send to NetSuite
+    const response = await axios.post(CONFIG.netsuite.restletUrl, payload, {
+      headers: {
+        ...authHeader,
+        'Content-Type': 'application/json'
+      },
+      timeout: 60000 // 60 second timeout
+    });
+
+    console.log(`  ✓ Uploaded to NetSuite successfully`);
+    console.log(`    PDF File ID: ${response.data.pdfFileId || 'N/A'}`);
+    console.log(`    JSON File ID: ${response.data.jsonFileId || 'N/A'}`);
+
+    return {
+      success: true,
+      pdfFileId: response.data.pdfFileId,
+      jsonFileId: response.data.jsonFileId,
+      response: response.data
+    };
+
+  } catch (error) {
+    console.error(`  ✗ NetSuite upload failed:`, error.message);
+    if (error.response) {
+      console.error(`    Status: ${error.response.status}`);
+      console.error(`    Data:`, error.response.data);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Checkpoint state store - cached in memory, persisted to CONFIG.state.file
+let pollerState = null;
+let stateWriteChain = Promise.resolve();
+
+/**
+ * Loads the checkpoint state file (once per process)
+ * A corrupt state file is an error - silently starting over would re-run
+ * the initial search and could skip or duplicate messages
+ */
+async function loadState() {
+  if (pollerState) return pollerState;
+
+  try {
+    const raw = await fs.readFile(CONFIG.state.file, 'utf8');
+    pollerState = JSON.parse(raw);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read state file ${CONFIG.state.file}: ${error.message}`);
+    }
+    console.log(`  ℹ️  No state file at ${CONFIG.state.file} - starting fresh`);
+    pollerState = {};
+  }
+
+  if (!pollerState.mailboxes) pollerState.mailboxes = {};
+  return pollerState;
+}
+
+/**
+ * Writes the state file atomically (temp file + rename)
+ * Writes are chained so concurrent PDF uploads never interleave on the temp file
+ */
+function saveState() {
+  const write = stateWriteChain.then(async () => {
+    await fs.mkdir(path.dirname(CONFIG.state.file), { recursive: true });
+    const tmpPath = CONFIG.state.file + '.tmp';
+    await fs.writeFile(tmpPath, JSON.stringify(pollerState, null, 2));
+    await fs.rename(tmpPath, CONFIG.state.file);
+  });
+  stateWriteChain = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Whether a process is running on this host
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Takes the state file lock (<STATE_FILE>.lock) for the rest of this process
+ *
+ * The worker keeps the state in memory and saves it whole, so a second
+ * process saving the same file (--replay-unmatched while the worker runs)
+ * would overwrite its dedup entries and UID checkpoints. A lock left by a
+ * process that is no longer running on this host is taken over; the worker
+ * also takes over locks from other hosts (a previous container).
+ *
+ * @param {string} holder - What takes the lock (worker, or the command), shown to anyone who finds it taken
+ * @throws {Error} When another running process holds the lock
+ */
+async function acquireStateLock(holder) {
+  const lockPath = CONFIG.state.file + '.lock';
+  const owner = { holder, pid: process.pid, host: os.hostname(), since: new Date().toISOString() };
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify(owner, null, 2), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    let current;
+    try {
+      current = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue; // Released meanwhile
+      throw new Error(`State file lock ${lockPath} is unreadable (${error.message}) - delete it if no worker is running`);
+    }
+
+    const local = current.host === owner.host;
+    const stale = local ? current.pid === process.pid || !isProcessRunning(current.pid) : holder === 'worker';
+    if (!stale) {
+      throw new Error(`State file ${CONFIG.state.file} is in use by the ${current.holder} (pid ${current.pid} on ${current.host} since ${current.since}) - ` +
+        `stop it first${local ? '' : ', or delete ' + lockPath + ' if it is no longer running'}`);
+    }
+    console.log(`  ℹ️  Taking over the state file lock left by the ${current.holder} (pid ${current.pid} on ${current.host})`);
+    await fs.rm(lockPath, { force: true });
+  }
+
+  process.on('exit', () => {
+    try {
+      fsSync.rmSync(lockPath, { force: true });
+    } catch (error) {
+      // Best effort - the next start takes over a stale lock
+    }
+  });
+}
+
+/**
+ * Builds the state key for a mailbox source (account + folder)
+ */
+function getMailboxKey(source) {
+  return `${source.imap.user}@${source.imap.host}/${source.mailbox}`;
+}
+
+/**
+ * Returns the state entry for a mailbox, resetting it when the server's
+ * UIDVALIDITY changed (old UIDs no longer identify the same messages)
+ *
+ * lastUid is null until the first message has been checkpointed.
+ * pending holds emails awaiting retry, keyed by UID:
+ *   { attempts, uploaded: [sha256...], lastError, nextAttemptAt, updatedAt }
+ *
+ * @param {string} mailboxKey - Key from getMailboxKey()
+ * @param {number} uidValidity - UIDVALIDITY reported by the server
+ * @returns {Promise<Object>} { uidValidity, lastUid, pending, updatedAt }
+ */
+async function getMailboxState(mailboxKey, uidValidity) {
+  const state = await loadState();
+  let entry = state.mailboxes[mailboxKey];
+
+  if (entry && entry.uidValidity !== uidValidity) {
+    console.log(`   ⚠️  UIDVALIDITY changed for ${mailboxKey} (${entry.uidValidity} → ${uidValidity}) - discarding checkpoint`);
+    entry = null;
+  }
+
+  if (!entry) {
+    entry = { uidValidity, lastUid: null, pending: {}, updatedAt: new Date().toISOString() };
+    state.mailboxes[mailboxKey] = entry;
+    await saveState();
+  }
+
+  if (!entry.pending) entry.pending = {};
+  return entry;
+}
+
+/**
+ * Records a processed UID as the mailbox checkpoint
+ */
+async function saveCheckpoint(mailboxKey, uid) {
+  const state = await loadState();
+  const entry = state.mailboxes[mailboxKey];
+  if (entry.lastUid === null || uid > entry.lastUid) {
+    entry.lastUid = uid;
+  }
+  entry.updatedAt = new Date().toISOString();
+  await saveState();
+}
+
+/**
+ * Returns retry progress for an email, creating an empty entry if needed
+ */
+async function getPendingEmail(mailboxKey, uid) {
+  const state = await loadState();
+  const entry = state.mailboxes[mailboxKey];
+  if (!entry.pending[uid]) {
+    entry.pending[uid] = { attempts: 0, uploaded: [], lastError: null, nextAttemptAt: null, updatedAt: new Date().toISOString() };
+  }
+  return entry.pending[uid];
+}
+
+/**
+ * Removes an email from the retry list (processed, or given up on)
+ */
+async function clearPendingEmail(mailboxKey, uid) {
+  const state = await loadState();
+  const entry = state.mailboxes[mailboxKey];
+  if (entry.pending[uid]) {
+    delete entry.pending[uid];
+    await saveState();
+  }
+}
+
+/**
+ * Returns the dedup index from the state file, pruning entries older than
+ * CONFIG.dedup.retentionDays
+ *
+ *   messages: { [Message-ID]: { processedAt, source, subject } }
+ *   pdfs:     { [sha256]: { processedAt, filename, invoiceNumber, pdfFileId, messageId } }
+ */
+async function getDedupIndex() {
+  const state = await loadState();
+  if (!state.dedup) {
+    state.dedup = { messages: {}, pdfs: {}, prunedAt: null };
+  }
+
+  const index = state.dedup;
+  const today = new Date().toISOString().substring(0, 10);
+  if (index.prunedAt !== today) {
+    const cutoff = Date.now() - CONFIG.dedup.retentionDays * 24 * 60 * 60 * 1000;
+    for (const table of [index.messages, index.pdfs]) {
+      for (const [key, entry] of Object.entries(table)) {
+        if (Date.parse(entry.processedAt) < cutoff) delete table[key];
+      }
+    }
+    index.prunedAt = today;
+  }
+
+  return index;
+}
+
+/**
+ * Looks up a fully processed email by Message-ID
+ * @returns {Promise<Object|null>} Index entry, or null when unseen (or dedup is off)
+ */
+async function findProcessedMessage(messageId) {
+  if (!CONFIG.dedup.enabled || !messageId) return null;
+  const index = await getDedupIndex();
+  return index.messages[messageId] || null;
+}
+
+/**
+ * Looks up a PDF that already reached NetSuite by content hash
+ * @returns {Promise<Object|null>} Index entry, or null when unseen (or dedup is off)
+ */
+async function findProcessedPdf(sha256) {
+  if (!CONFIG.dedup.enabled) return null;
+  const index = await getDedupIndex();
+  return index.pdfs[sha256] || null;
+}
+
+/**
+ * Records an email whose documents all completed
+ */
+async function recordProcessedMessage(messageId, details) {
+  if (!CONFIG.dedup.enabled || !messageId) return;
+  const index = await getDedupIndex();
+  index.messages[messageId] = { ...details, processedAt: new Date().toISOString() };
+  await saveState();
+}
+
+/**
+ * Records a PDF that reached NetSuite
+ */
+async function recordProcessedPdf(sha256, details) {
+  if (!CONFIG.dedup.enabled) return;
+  const index = await getDedupIndex();
+  index.pdfs[sha256] = { ...details, processedAt: new Date().toISOString() };
+  await saveState();
+}
+
+// Vendor notifications: receipt confirmations and exception replies threaded
+// onto the vendor's email, plus weekly statements of processed documents
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const STATEMENT_CHECK_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+let notificationTransport = null;
+let statementTimer = null;
+
+/**
+ * Formats a date as YYYY-MM-DD in local time, the zone NOTIFY_STATEMENT_DAY
+ * and NOTIFY_STATEMENT_HOUR are read in
+ */
+function localDateString(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Lower-cased bare addresses in an address list ("Name <a@b>, c@d")
+ */
+function parseAddressList(value) {
+  return addressparser(value || '', { flatten: true })
+    .map(entry => (entry.address || '').toLowerCase())
+    .filter(Boolean);
+}
+
+// Built-in templates - override with <NOTIFY_TEMPLATE_DIR>/<type>.txt or
+// <NOTIFY_TEMPLATE_DIR>/<processor>/<type>.txt ("Subject: ..." line, blank line, body)
+const DEFAULT_NOTIFICATION_TEMPLATES = {
+  receipt: `Subject: Re: {{subject}}
+
+Hello,
+
+Thank you - we received your email and processed {{documentCount}} document(s):
+
+{{documentList}}
+
+This is an automated message from our accounts payable system.
+`,
+  exception: `Subject: Re: {{subject}}
+
+Hello,
+
+We received your email but could not process it:
+
+{{problemList}}
+
+Please reply with a readable PDF copy (not password protected) so we can apply it.
+
+This is an automated message from our accounts payable system.
+`,
+  statement: `Subject: Documents processed {{periodStart}} - {{periodEnd}}
+
+Hello,
+
+We processed {{invoiceCount}} document(s) from you between {{periodStart}} and {{periodEnd}}:
+
+{{invoiceList}}
+
+This is an automated message from our accounts payable system.
+`,
+  unmatched_digest: `Subject: {{count}} unmatched vendor email(s) since {{since}}
+
+These emails matched no processor and were stored in {{dir}} ({{pendingCount}} awaiting replay in total):
+
+{{messageList}}
+
+Once a processor is configured for the sender (e.g. a NetSuite AP Assist Vendor Configuration record), run:
+
+  node email-poller.js --replay-unmatched <id>
+`,
+  netsuite_config_alert: `Subject: NetSuite processor configs: {{problem}}
+
+{{details}}
+
+Check the snapshot with:
+
+  node email-poller.js --verify-netsuite-snapshot
+`
+};
+
+// Attachment statuses worth telling the vendor about (upload failures are ours to fix)
+const VENDOR_PROBLEMS = {
+  no_documents: 'No PDF attachment was found',
+  download_failed: 'The linked document could not be downloaded',
+  zip_failed: 'The ZIP archive could not be unpacked (damaged, or too large)',
+  pdf_encrypted: 'The PDF is password protected',
+  pdf_password_rejected: 'The PDF is password protected',
+  pdf_corrupt: 'The PDF is damaged and could not be opened',
+  pdf_too_large: 'The PDF is too large to process',
+  extraction_failed: 'The document could not be read',
+  parse_failed: 'The document could not be read',
+  validation_failed: 'Some bill numbers could not be read'
+};
+
+/**
+ * Replaces the notification transport (anything with a nodemailer-style
+ * sendMail(message) returning a promise) - e.g. SES, or a test double
+ */
+function setNotificationTransport(transport) {
+  notificationTransport = transport;
+}
+
+/**
+ * Creates the transport from NOTIFY_TRANSPORT on first use
+ * smtp: SMTP_URL or SMTP_HOST/PORT/USER/PASSWORD; file: .eml files in NOTIFY_OUTBOX_DIR
+ */
+function getNotificationTransport() {
+  if (notificationTransport) {
+    return notificationTransport;
+  }
+
+  const { transport, smtp, outboxDir } = CONFIG.notifications;
+  if (transport === 'file') {
+    const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    notificationTransport = {
+      async sendMail(message) {
+        const info = await composer.sendMail(message);
+        await fs.mkdir(outboxDir, { recursive: true });
+        const file = path.join(outboxDir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+        await fs.writeFile(file, info.message);
+        return { ...info, file };
+      }
+    };
+  } else {
+    notificationTransport = nodemailer.createTransport(smtp.url || {
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+    });
+  }
+
+  return notificationTransport;
+}
+
+/**
+ * Renders a notification template, preferring the processor's own file
+ * @returns {Promise<Object>} { subject, text }
+ */
+async function renderNotification(type, processor, vars) {
+  let template = DEFAULT_NOTIFICATION_TEMPLATES[type];
+  for (const file of [
+    processor && path.join(CONFIG.notifications.templateDir, processor.name, `${type}.txt`),
+    path.join(CONFIG.notifications.templateDir, `${type}.txt`)
+  ].filter(Boolean)) {
+    try {
+      template = await fs.readFile(file, 'utf8');
+      break;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  const rendered = template.replace(/\{\{(\w+)\}\}/g, (match, name) => vars[name] ?? '');
+  const [, subject, text] = rendered.match(/^Subject:[ \t]*(.*)\r?\n\r?\n?([\s\S]*)$/) || [];
+  if (subject === undefined) {
+    throw new Error(`${type} template must start with a "Subject:" line`);
+  }
+  return { subject: subject.trim(), text };
+}
+
+/**
+ * Renders and sends one notification; failures are logged, never thrown
+ */
+async function sendNotification(type, processor, vars, message) {
+  try {
+    const { subject, text } = await renderNotification(type, processor, vars);
+    const info = await getNotificationTransport().sendMail({
+      from: CONFIG.notifications.from,
+      subject,
+      text,
+      headers: { 'Auto-Submitted': 'auto-replied' }, // RFC 3834 - keeps vendor autoresponders from replying
+      ...message
+    });
+    console.log(`  ✉️  Sent ${type} notification to ${[].concat(message.to).join(', ')}${info.file ? ' (' + info.file + ')' : ''}`);
+    return true;
+  } catch (error) {
+    console.error(`  ✗ Could not send ${type} notification:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Statement ledger for a processor, kept in the state file
+ */
+async function getStatementLedger(processorName) {
+  const state = await loadState();
+  if (!state.statements) {
+    state.statements = {};
+  }
+  if (!state.statements[processorName]) {
+    state.statements[processorName] = { since: new Date().toISOString(), lastSentAt: null, recipient: null, documents: [] };
+  }
+  return state.statements[processorName];
+}
+
+/**
+ * Adds an uploaded document to the processor's next weekly statement
+ */
+async function recordStatementDocument(processor, details) {
+  if (!CONFIG.notifications.rules[processor.name]?.events.includes('statement')) return;
+  const ledger = await getStatementLedger(processor.name);
+  ledger.documents.push({ ...details, processedAt: new Date().toISOString() });
+  await saveState();
+}
+
+/**
+ * Sends the receipt or exception reply for a vendor email that reached its
+ * final outcome (not between retries)
+ *
+ * An exception is sent when any document failed for a reason the vendor can
+ * fix (no PDF, password protected, damaged, unreadable, invalid bill
+ * numbers); otherwise a completed email gets a receipt. Replies are threaded
+ * with In-Reply-To/References and go to the rule's `to`, else Reply-To/From.
+ *
+ * @param {Object} parsed - Parsed vendor email
+ * @param {Object} processor - Matched processor
+ * @param {string} outcome - complete, no_documents or incomplete
+ * @param {Array<Object>} attachments - Attachment results
+ */
+async function notifyVendor(parsed, processor, outcome, attachments) {
+  const rule = processor && CONFIG.notifications.rules[processor.name];
+  if (!rule) return;
+
+  const sender = (parsed.replyTo || parsed.from)?.value?.[0]?.address;
+  const to = rule.to || sender;
+  if (!to) return;
+
+  // Never answer our own mail or another system's auto-reply
+  const ownAddresses = parseAddressList(CONFIG.notifications.from);
+  if (parseAddressList(to).some(address => ownAddresses.includes(address)) || /auto-replied/i.test(parsed.headers?.get('auto-submitted') || '')) {
+    console.log(`  ⏭️  Not notifying ${to}: own address or auto-reply`);
+    return;
+  }
+
+  if (rule.events.includes('statement') && sender) {
+    const ledger = await getStatementLedger(processor.name);
+    ledger.recipient = sender;
+    await saveState();
+  }
+
+  const problems = outcome === 'no_documents'
+    ? [VENDOR_PROBLEMS.no_documents]
+    : attachments
+      .filter(a => !a.fanOutFrom) // Copies are internal - the vendor's document is the original
+      .map(a => {
+        const reason = a.validationError ? VENDOR_PROBLEMS.validation_failed : VENDOR_PROBLEMS[a.status];
+        return reason && `${a.filename}: ${reason}`;
+      })
+      .filter(Boolean);
+
+  const type = problems.length > 0 ? 'exception' : outcome === 'complete' ? 'receipt' : null;
+  if (!type || !rule.events.includes(type)) return;
+
+  // Fan-out copies and documents nobody processes aren't listed to the vendor
+  const documents = attachments.filter(a => COMPLETE_ATTACHMENT_STATUSES.includes(a.status) &&
+    !['ignored', 'unrouted'].includes(a.status) && !a.fanOutFrom);
+  const references = [].concat(parsed.references || [], parsed.messageId || []);
+
+  await sendNotification(type, processor, {
+    processor: processor.name,
+    subject: parsed.subject || 'No Subject',
+    from: sender || '',
+    date: parsed.date ? parsed.date.toISOString().substring(0, 10) : '',
+    documentCount: String(documents.length),
+    documentList: documents.map(a => `- ${a.filename}${a.invoiceNumber ? ' (' + a.invoiceNumber + ')' : ''}`).join('\n'),
+    problemList: problems.map(problem => `- ${problem}`).join('\n')
+  }, {
+    to,
+    cc: rule.cc || undefined,
+    bcc: rule.bcc || undefined,
+    inReplyTo: parsed.messageId || undefined,
+    references: references.length > 0 ? references : undefined
+  });
+}
+
+/**
+ * Sends each processor's weekly statement of uploaded documents
+ *
+ * Runs from the hourly schedule on NOTIFY_STATEMENT_DAY after
+ * NOTIFY_STATEMENT_HOUR; a processor with nothing processed since its last
+ * statement gets none. The ledger is only cleared once the email is sent.
+ *
+ * @param {Object} options
+ * @param {boolean} options.force - Send now regardless of the day and hour
+ * @returns {Promise<number>} Statements sent
+ */
+async function sendStatements(options = {}) {
+  // Day, hour and the period dates are all local time
+  const now = new Date();
+  const today = localDateString(now);
+  const due = WEEKDAYS[now.getDay()] === CONFIG.notifications.statementDay &&
+    now.getHours() >= CONFIG.notifications.statementHour;
+  if (!options.force && !due) return 0;
+
+  let sent = 0;
+  for (const [processorName, rule] of Object.entries(CONFIG.notifications.rules)) {
+    if (!rule.events.includes('statement')) continue;
+
+    const ledger = await getStatementLedger(processorName);
+    if (!options.force && ledger.lastSentAt && now - Date.parse(ledger.lastSentAt) < 24 * 60 * 60 * 1000) continue;
+    if (ledger.documents.length === 0) continue;
+
+    const to = rule.to || ledger.recipient;
+    if (!to) {
+      console.log(`  ⏭️  No statement recipient for ${processorName} - set NOTIFY_RULES.${processorName}.to`);
+      continue;
+    }
+
+    const documents = ledger.documents.slice();
+    console.log(`\n📬 Sending ${processorName} statement (${documents.length} document(s))`);
+    const ok = await sendNotification('statement', { name: processorName }, {
+      processor: processorName,
+      periodStart: localDateString(new Date(ledger.since)),
+      periodEnd: today,
+      invoiceCount: String(documents.length),
+      invoiceList: documents.map(d => `- ${d.invoiceNumber || d.filename} (${localDateString(new Date(d.processedAt))})`).join('\n')
+    }, {
+      to,
+      cc: rule.cc || undefined,
+      bcc: rule.bcc || undefined
+    });
+
+    if (ok) {
+      // Documents recorded while sending stay for the next statement
+      ledger.documents = ledger.documents.slice(documents.length);
+      ledger.since = now.toISOString();
+      ledger.lastSentAt = now.toISOString();
+      await saveState();
+      sent++;
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Starts the hourly weekly-statement check
+ */
+function startStatementSchedule() {
+  const anyStatements = Object.values(CONFIG.notifications.rules).some(rule => rule.events.includes('statement'));
+  if (!anyStatements) return;
+
+  statementTimer = setInterval(() => {
+    sendStatements().catch(error => console.error('❌ Statement run failed:', error.message));
+  }, STATEMENT_CHECK_INTERVAL_MS);
+}
+
+// Unmatched email store (digest and replay) - see lib/unmatched-store.js
+const {
+  storeUnmatchedEmail,
+  listUnmatchedEmails,
+  sendUnmatchedDigest,
+  startUnmatchedDigestSchedule,
+  stopUnmatchedDigestSchedule,
+  replayUnmatchedEmails
+} = createUnmatchedStore({
+  CONFIG,
+  getProcessorMatchRule,
+  loadState,
+  saveState,
+  sendNotification,
+  loadProcessorFile,
+  fetchNetSuiteConfigs,
+  processParsedEmail,
+  notifyVendor
+});
+
+// Folders already verified/created, per IMAP connection
+const ensuredFolders = new WeakMap();
+
+/**
+ * Makes sure a disposition folder exists, creating it if missing
+ */
+function ensureFolder(imap, folder) {
+  let known = ensuredFolders.get(imap);
+  if (!known) {
+    known = new Set();
+    ensuredFolders.set(imap, known);
+  }
+  if (known.has(folder)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    imap.status(folder, (statusErr) => {
+      if (!statusErr) {
+        known.add(folder);
+        resolve();
+        return;
+      }
+
+      imap.addBox(folder, (addErr) => {
+        if (addErr) {
+          reject(new Error(`Could not create folder "${folder}": ${addErr.message}`));
+          return;
+        }
+        console.log(`  📁 Created IMAP folder: ${folder}`);
+        known.add(folder);
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * Files a message once the pipeline has finished with it
+ *
+ * Outcomes:
+ * - processed: every PDF was extracted and uploaded to NetSuite
+ * - failed:    extraction or upload failed (or no PDFs to process)
+ * - unmatched: matchEmailProcessors() found no processor
+ * - quarantined: the processor requires sender authentication and it failed
+ *
+ * The message is marked \Seen (when the source's markAsRead is on) for
+ * processed and unmatched outcomes; failed and quarantined messages stay
+ * unread so they stand out. Disposition errors are logged but never fail
+ * the email.
+ *
+ * @param {Imap} imap - Connected IMAP client with the source mailbox open
+ * @param {number} uid - Message UID
+ * @param {string} outcome - processed, failed, unmatched or quarantined
+ * @param {Object} source - Mailbox source (disposition + markAsRead settings)
+ */
+async function applyDisposition(imap, uid, outcome, source) {
+  const action = source.disposition.action;
+  const folder = source.disposition.folders[outcome];
+
+  try {
+    if (source.markAsRead && outcome !== 'failed' && outcome !== 'quarantined') {
+      await new Promise((resolve, reject) => {
+        imap.addFlags(uid, '\\Seen', err => (err ? reject(err) : resolve()));
+      });
+    }
+
+    if (action === 'none' || !folder) {
+      console.log(`  🏷️  Disposition: ${outcome} (message left in place)`);
+      return;
+    }
+
+    await ensureFolder(imap, folder);
+
+    await new Promise((resolve, reject) => {
+      const cb = err => (err ? reject(err) : resolve());
+      if (action === 'copy') {
+        imap.copy(uid, folder, cb);
+      } else {
+        imap.move(uid, folder, cb);
+      }
+    });
+
+    console.log(`  🏷️  Disposition: ${outcome} → ${action === 'copy' ? 'copied' : 'moved'} to "${folder}"`);
+  } catch (error) {
+    console.error(`  ⚠️  [${source.name}] Disposition (${outcome}) failed for UID ${uid}:`, error.message);
+  }
+}
+
+/**
+ * Final attachment statuses that count as "reached NetSuite"
+ * (upload_skipped = NetSuite integration disabled, nothing to upload to)
+ */
+const COMPLETE_ATTACHMENT_STATUSES = ['uploaded', 'already_uploaded', 'duplicate', 'upload_skipped', 'ignored', 'unrouted'];
+
+/**
+ * Extracts JSON from a Claude response (handles ```json fenced blocks)
+ */
+function parseClaudeJson(analysis) {
+  let jsonStr = analysis;
+  if (jsonStr.includes('```json')) {
+    const startIdx = jsonStr.indexOf('```json') + 7;
+    const endIdx = jsonStr.indexOf('```', startIdx);
+    jsonStr = jsonStr.substring(startIdx, endIdx).trim();
+  }
+  return JSON.parse(jsonStr);
+}
+
+/**
+ * Runs every PDF of an email through Claude extraction and NetSuite upload
+ *
+ * Each attachment ends with one final status:
+ * uploaded, already_uploaded, duplicate, upload_skipped, extraction_failed,
+ * parse_failed or upload_failed (pre-flight failures are reported by
+ * preflightPdfAttachments before this runs)
+ *
+ * @param {Array<Object>} pdfAttachments - Attachments ({ filename, content })
+ * @param {Object} processor - Matched processor config
+ * @param {Object} parsed - Parsed email (subject/from/date)
+ * @param {Object} options
+ * @param {Object} options.metadata - Extra fields recorded in saved results and the NetSuite payload
+ * @param {Array<string>} options.alreadyUploaded - SHA-256 hashes uploaded by an earlier attempt
+ * @param {Function} options.onUploaded - Awaited with the SHA-256 of each PDF once it reaches NetSuite
+ * @param {boolean} options.force - Reprocess PDFs found in the dedup index (also DEDUP_OVERRIDE)
+ * @returns {Promise<Array<Object>>} { filename, sourcePath, archive, split, classification, sha256, status, error,
+ *   invoiceNumber, pdfFileId, validationError } per attachment
+ */
+async function processPdfAttachments(pdfAttachments, processor, parsed, options = {}) {
+  const metadata = options.metadata || {};
+  const alreadyUploaded = new Set(options.alreadyUploaded || []);
+  const onUploaded = options.onUploaded || (async () => {});
+  const force = options.force || CONFIG.dedup.override;
+
+  // Process PDFs with batch concurrency (optimized with prompt caching)
+  // NOTE: Prompt caching reduces token usage by ~90% after first PDF,
+  // allowing higher throughput without hitting rate limits
+  const BATCH_SIZE = 4; // Process 4 PDFs concurrently (safe with caching)
+  const BATCH_DELAY_MS = 6000; // 6 second delay between batches
+  const RETRY_ATTEMPTS = 3; // Retry failed PDFs up to 3 times
+  const PER_PDF_DELAY_MS = 1000; // 1 second delay between individual PDFs
+  let processedCount = 0;
+  let successCount = 0;
+  let failCount = 0;
+
+  const finish = (attachmentResult, index) => {
+    processedCount++;
+    if (COMPLETE_ATTACHMENT_STATUSES.includes(attachmentResult.status)) {
+      successCount++;
+    } else {
+      failCount++;
+      console.error(`  ✗ [${index + 1}/${pdfAttachments.length}] ${attachmentResult.filename}: ${attachmentResult.status}${attachmentResult.error ? ' - ' + attachmentResult.error : ''}`);
+    }
+    console.log(`  📊 Progress: ${processedCount}/${pdfAttachments.length} (${successCount} success, ${failCount} failed)`);
+    return attachmentResult;
+  };
+
+  // Function to process a single PDF with retry logic
+  const processSinglePdf = async (pdf, index, retryCount = 0) => {
+    const sha256 = crypto.createHash('sha256').update(pdf.content).digest('hex');
+    // Fan-out copies are tracked per processor so the original doesn't mark them done
+    const dedupKey = pdf.fanOutFrom ? `${sha256}:${processor.name}` : sha256;
+    const base = { filename: pdf.filename, sourcePath: pdf.sourcePath || pdf.filename, sha256, processor: processor.name };
+    if (pdf.fanOutFrom) base.fanOutFrom = pdf.fanOutFrom;
+    if (pdf.archive) base.archive = pdf.archive;
+    if (pdf.convertedFrom) base.convertedFrom = pdf.convertedFrom;
+    if (pdf.sourceUrl) base.sourceUrl = pdf.sourceUrl;
+    if (pdf.split) base.split = pdf.split;
+    if (pdf.classification) base.classification = pdf.classification;
+
+    // Per-PDF metadata for the saved result and NetSuite payload
+    const pdfMetadata = { ...metadata, sourcePath: base.sourcePath };
+    if (pdf.convertedFrom) {
+      pdfMetadata.convertedFrom = pdf.convertedFrom;
+    }
+    if (pdf.sourceUrl) {
+      pdfMetadata.sourceUrl = pdf.sourceUrl;
+    }
+    if (pdf.decrypted) {
+      pdfMetadata.decrypted = true;
+    }
+    if (pdf.downsampled) {
+      pdfMetadata.downsampled = true;
+    }
+    if (pdf.split) {
+      pdfMetadata.splitPart = pdf.split;
+    }
+    if (pdf.classification) {
+      pdfMetadata.classification = pdf.classification;
+    }
+    if (pdf.archive) {
+      pdfMetadata.archiveName = pdf.archive.name;
+      pdfMetadata.archiveEntryPath = pdf.archive.entryPath;
+    }
+
+    if (alreadyUploaded.has(dedupKey)) {
+      console.log(`  ⏭️  [${index + 1}/${pdfAttachments.length}] ${pdf.filename} already uploaded on a previous attempt`);
+      return finish({ ...base, status: 'already_uploaded' }, index);
+    }
+
+    // Checked before Claude so a resent credit memo costs nothing
+    const duplicate = force ? null : await findProcessedPdf(dedupKey);
+    if (duplicate) {
+      console.log(`  ⏭️  [${index + 1}/${pdfAttachments.length}] Duplicate: ${pdf.filename} matches ${duplicate.invoiceNumber || duplicate.filename} processed ${duplicate.processedAt} - skipping (DEDUP_OVERRIDE=true to reprocess)`);
+      return finish({ ...base, status: 'duplicate', invoiceNumber: duplicate.invoiceNumber, pdfFileId: duplicate.pdfFileId }, index);
+    }
+
+    try {
+      // Small delay between PDFs to spread out API calls
+      if (index > 0 && retryCount === 0) {
+        await new Promise(resolve => setTimeout(resolve, PER_PDF_DELAY_MS));
+      }
+
+      console.log(`  [${index + 1}/${pdfAttachments.length}] Processing: ${pdf.filename}`);
+
+      // Save PDF if configured
+      await savePdf(pdf.content, pdf.filename, parsed.subject);
+
+      // Archive-only processors file the PDF without an extraction
+      if (!getAttachmentRoute(processor).extract) {
+        const archiveResult = await uploadToNetSuite(pdf.content, pdf.filename, null, parsed.subject || 'No Subject', processor.netsuite, pdfMetadata);
+        if (!archiveResult.success) {
+          return finish({ ...base, status: archiveResult.reason === 'disabled' ? 'upload_skipped' : 'upload_failed', error: archiveResult.error || null }, index);
+        }
+        await onUploaded(dedupKey);
+        await recordProcessedPdf(dedupKey, {
+          filename: pdf.filename,
+          invoiceNumber: null,
+          pdfFileId: archiveResult.pdfFileId,
+          messageId: parsed.messageId || null
+        });
+        return finish({ ...base, status: 'uploaded', pdfFileId: archiveResult.pdfFileId }, index);
+      }
+
+      // Process with Claude using processor's custom prompt
+      const result = await processPdfWithClaude(
+        pdf.content,
+        pdf.filename,
+        parsed.subject || 'No Subject',
+        processor.claudePrompt, // Use NetSuite prompt if available
+        { images: pdf.images, text: pdf.bodyText } // Page images / body text when the PDF was generated
+      );
+
+      if (!result.success) {
+        return finish({ ...base, status: 'extraction_failed', error: result.error }, index);
+      }
+
+      console.log(`  ✓ [${index + 1}/${pdfAttachments.length}] Claude analysis complete for ${pdf.filename}`);
+
+      // Parse JSON from Claude response
+      let extractedData = null;
+      let parseError = null;
+      let validationError = null; // Set when bill numbers are still invalid after the retry
+      let renamedFilename = pdf.filename; // Track potentially renamed filename
+
+      try {
+        extractedData = parseClaudeJson(result.analysis);
+        console.log(`  ✓ Parsed JSON: Invoice ${extractedData.invoiceNumber || 'N/A'}`);
+
+        // Rename PDF file to invoice number if available
+        if (extractedData.invoiceNumber) {
+          const originalExt = path.extname(pdf.filename);
+          renamedFilename = extractedData.invoiceNumber + originalExt;
+          console.log(`  ✓ Renamed PDF: ${pdf.filename} → ${renamedFilename}`);
+        } else {
+          console.log(`  ℹ️  No invoice number found, keeping original filename: ${pdf.filename}`);
+        }
+
+        // Validate original bill numbers are 8 digits
+        const validationResult = validateBillNumbers(extractedData);
+        if (!validationResult.valid && retryCount === 0) {
+          console.log(`  ⚠️  Bill number validation failed: ${validationResult.reason}`);
+          console.log(`  🔄 Retrying with enhanced prompt (attempt 2/2)...`);
+
+          // Retry once with enhanced prompt focusing on bill numbers
+          const retryPrompt = 'CRITICAL: Previous extraction had invalid bill numbers.\n\n' + validationResult.reason + '\n\nPlease re-analyze this PDF and extract EXACTLY 8-digit bill numbers for each line item.\nRemember: Bill numbers are embedded in the Description column (look for N or W followed by 8 digits).\nIf the number spans multiple lines, concatenate to get exactly 8 digits total.\n\nAll line items MUST have valid 8-digit original bill numbers.\n\n' + (processor.claudePrompt || '') + '\n\nDocument: ' + pdf.filename;
+
+          const retryResult = await processPdfWithClaude(
+            pdf.content,
+            pdf.filename,
+            parsed.subject || 'No Subject',
+            retryPrompt,
+            { images: pdf.images, text: pdf.bodyText }
+          );
+
+          if (retryResult.success) {
+            const retryExtractedData = parseClaudeJson(retryResult.analysis);
+            const retryValidation = validateBillNumbers(retryExtractedData);
+
+            if (retryValidation.valid) {
+              console.log(`  ✓ Retry successful - all bill numbers are now 8 digits`);
+              extractedData = retryExtractedData;
+            } else {
+              console.log(`  ⚠️  Retry still has invalid bill numbers: ${retryValidation.reason}`);
+              console.log(`  → Proceeding with original extraction`);
+              validationError = validationResult.reason;
+            }
+          } else {
+            validationError = validationResult.reason;
+          }
+        } else if (!validationResult.valid) {
+          console.log(`  ⚠️  Bill number validation failed: ${validationResult.reason}`);
+          console.log(`  → Max retries reached, proceeding with current data`);
+          validationError = validationResult.reason;
+        }
+
+      } catch (e) {
+        console.error(`  ⚠️  Could not parse JSON from Claude response:`, e.message);
+        parseError = e.message;
+      }
+
+      // Save result
+      await saveResult({
+        ...result,
+        extractedData,
+        renamedFilename,
+        ...pdfMetadata,
+        emailFrom: parsed.from?.text,
+        emailDate: parsed.date,
+        processedAt: new Date().toISOString()
+      });
+
+      if (!extractedData) {
+        return finish({ ...base, status: 'parse_failed', error: parseError }, index);
+      }
+
+      // Upload to NetSuite
+      const uploadResult = await uploadToNetSuite(
+        pdf.content,
+        renamedFilename, // Use renamed filename with invoice number
+        extractedData,
+        parsed.subject || 'No Subject',
+        processor.netsuite, // Pass folder IDs from matched processor
+        pdfMetadata
+      );
+
+      if (!uploadResult.success && uploadResult.reason === 'disabled') {
+        return finish({ ...base, status: 'upload_skipped', invoiceNumber: extractedData.invoiceNumber, validationError }, index);
+      }
+
+      if (!uploadResult.success) {
+        return finish({ ...base, status: 'upload_failed', error: uploadResult.error, invoiceNumber: extractedData.invoiceNumber }, index);
+      }
+
+      await onUploaded(dedupKey);
+      await recordProcessedPdf(dedupKey, {
+        filename: renamedFilename,
+        invoiceNumber: extractedData.invoiceNumber,
+        pdfFileId: uploadResult.pdfFileId,
+        messageId: parsed.messageId || null
+      });
+      await recordStatementDocument(processor, {
+        filename: renamedFilename,
+        invoiceNumber: extractedData.invoiceNumber || null
+      });
+
+      return finish({
+        ...base,
+        status: 'uploaded',
+        invoiceNumber: extractedData.invoiceNumber,
+        pdfFileId: uploadResult.pdfFileId,
+        validationError
+      }, index);
+
+    } catch (error) {
+      // Check if it's a rate limit error and retry
+      const isRateLimitError = error.message && (error.message.includes('rate_limit_error') || error.message.includes('429'));
+
+      if (isRateLimitError && retryCount < RETRY_ATTEMPTS) {
+        const delaySeconds = Math.pow(2, retryCount + 1) * 15; // Exponential backoff: 30s, 60s, 120s
+        console.warn(`  ⏸️  Rate limit hit for ${pdf.filename}. Retrying in ${delaySeconds}s... (attempt ${retryCount + 1}/${RETRY_ATTEMPTS})`);
+        console.warn(`  💡 Tip: Consider reducing batch size or increasing delays if rate limits persist`);
+        await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
+        return processSinglePdf(pdf, index, retryCount + 1); // Retry
+      }
+
+      return finish({ ...base, status: 'extraction_failed', error: error.message }, index);
+    }
+  };
+
+  // Process PDFs in batches
+  const attachmentResults = [];
+  for (let i = 0; i < pdfAttachments.length; i += BATCH_SIZE) {
+    const batch = pdfAttachments.slice(i, i + BATCH_SIZE);
+    const batchNum = Math.floor(i / BATCH_SIZE) + 1;
+    const totalBatches = Math.ceil(pdfAttachments.length / BATCH_SIZE);
+
+    console.log(`  🔄 Processing batch ${batchNum}/${totalBatches} (${batch.length} PDFs)...`);
+
+    // Process batch concurrently
+    const batchResults = await Promise.allSettled(
+      batch.map((pdf, batchIndex) => processSinglePdf(pdf, i + batchIndex))
+    );
+
+    batchResults.forEach((settled, batchIndex) => {
+      attachmentResults.push(settled.status === 'fulfilled'
+        ? settled.value
+        : { filename: batch[batchIndex].filename, status: 'extraction_failed', error: settled.reason?.message });
+    });
+
+    console.log(`  ✓ Batch ${batchNum}/${totalBatches} complete\n`);
+
+    // Delay between batches to avoid rate limiting
+    if (i + BATCH_SIZE < pdfAttachments.length) {
+      console.log(`  ⏸️  Waiting ${BATCH_DELAY_MS / 1000} seconds before next batch...`);
+      await new Promise(resolve => setTimeout(resolve, BATCH_DELAY_MS));
+    }
+  }
+
+  console.log(`\n  🎉 All PDFs processed: ${successCount} succeeded, ${failCount} failed`);
+
+  return attachmentResults;
+}
+
+/**
+ * Downloads the full raw message for a UID
+ * Resolves once the fetch has completely finished; null if the UID is gone
+ */
+function fetchRawMessage(imap, uid) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let found = false;
+
+    const fetch = imap.fetch(uid, {
+      bodies: '',
+      markSeen: false // \Seen is applied by applyDisposition() once the pipeline finishes
+    });
+
+    fetch.on('message', (msg) => {
+      found = true;
+      msg.on('body', (stream) => {
+        stream.on('data', chunk => chunks.push(chunk));
+      });
+    });
+
+    fetch.once('error', reject);
+    fetch.once('end', () => {
+      resolve(found ? Buffer.concat(chunks) : null);
+    });
+  });
+}
+
+/**
+ * Runs a parsed email through matching, document discovery, extraction and
+ * upload - everything that does not depend on where the email came from
+ * (IMAP or an inbound-mail webhook)
+ *
+ * @param {Object} parsed - simpleParser result (or the same shape)
+ * @param {Object} options
+ * @param {Object} options.metadata - Extra fields recorded in saved results and the NetSuite payload
+ *   (matchedOn is added)
+ * @param {Function} options.prepareUpload - Optional async hook called once documents are found;
+ *   returns { alreadyUploaded, onUploaded } for retry tracking
+ * @param {boolean} options.force - Ignore the dedup index (also DEDUP_OVERRIDE)
+ * @param {Buffer|string} options.raw - Raw message, for local DKIM verification and the unmatched store
+ * @param {boolean} options.storeUnmatched - Keep unmatched emails in UNMATCHED_DIR (default true)
+ * @param {Object} options.senderAuthProvider - Webhook provider verdict (getWebhookSenderAuth());
+ *   headers inside the message are not trusted when set
+ * @returns {Promise<Object>} { outcome, processor, attachments, senderAuth } where outcome is
+ *   duplicate, unmatched, quarantined, no_documents, complete or incomplete; processor is the
+ *   best match (attachments may also have gone to other matched processors - see their processor field)
+ */
+async function processParsedEmail(parsed, options = {}) {
+  console.log(`  From: ${parsed.from?.text || 'Unknown'}`);
+  console.log(`  Subject: ${parsed.subject || 'No Subject'}`);
+  console.log(`  Date: ${parsed.date || 'Unknown'}`);
+
+  const force = options.force || CONFIG.dedup.override;
+  const seen = force ? null : await findProcessedMessage(parsed.messageId);
+  if (seen) {
+    console.log(`  ⏭️  Duplicate: Message-ID ${parsed.messageId} was processed ${seen.processedAt} (${seen.source}) - skipping (DEDUP_OVERRIDE=true to reprocess)`);
+    return { outcome: 'duplicate', processor: null, attachments: [] };
+  }
+
+  // Find attachments, including those inside forwarded (message/rfc822) emails
+  const { attachments: collected, embeddedMessages } = await collectAttachments(parsed);
+
+  // Match email against processor rules (falls back to the forwarded originals)
+  const { processor, processors, matchedOn, matchedEmail } = routeEmail(parsed, embeddedMessages);
+
+  if (!processor) {
+    console.log('  ⏭️  Skipping - no matching processor for this email');
+    if (options.storeUnmatched !== false) {
+      await storeUnmatchedEmail(parsed, {
+        raw: options.raw,
+        attachments: collected,
+        embeddedMessages,
+        metadata: options.metadata,
+        senderAuthProvider: options.senderAuthProvider
+      });
+    }
+    return { outcome: 'unmatched', processor: null, attachments: [] };
+  }
+
+  // Sender authentication verdict - enforced for processors that require it,
+  // recorded in the upload payload for all
+  const senderAuth = await checkSenderAuthentication(parsed, options.raw, options.senderAuthProvider || null);
+  let senderAuthEnforced = false;
+  const enforceSenderAuth = targets => {
+    const authProcessor = targets.find(requiresSenderAuth);
+    if (!authProcessor) return null;
+    if (matchedOn !== 'message') {
+      // The forwarder is authenticated at best - never the original vendor
+      senderAuth.passed = false;
+      senderAuth.reason = `routed via ${matchedOn}; the original sender cannot be authenticated`;
+    }
+    if (!senderAuth.passed) {
+      console.log(`  🚫 Quarantined - ${authProcessor.name} requires sender authentication: ${senderAuth.reason}`);
+      return { outcome: 'quarantined', processor, attachments: [], senderAuth };
+    }
+    if (!senderAuthEnforced) {
+      console.log(`  🔐 Sender authenticated (${senderAuth.method} via ${senderAuth.source}${senderAuth.authServId ? ' ' + senderAuth.authServId : ''})`);
+      senderAuthEnforced = true;
+    }
+    return null;
+  };
+
+  const quarantined = enforceSenderAuth(processors);
+  if (quarantined) return quarantined;
+
+  // Portal-only vendors link to the invoice instead of attaching it
+  const linked = await downloadLinkedDocuments([parsed, ...embeddedMessages], processor);
+  const unpacked = await expandZipAttachments([...collected, ...linked.attachments]);
+  const allAttachments = unpacked.attachments;
+  const failures = [...linked.failures, ...unpacked.failures];
+
+  const pdfAttachments = await selectDocumentAttachments(allAttachments);
+
+  // Some vendors send the credit memo as the email body itself
+  if (pdfAttachments.length === 0 && failures.length === 0 && usesBodyDocument(processor)) {
+    const bodyEmail = matchedOn === 'forwarded-attachment' ? matchedEmail : parsed;
+    const bodyDocument = await buildBodyDocument(bodyEmail, bodyEmail.subject || parsed.subject);
+    if (bodyDocument) {
+      console.log(`  📝 Using the ${bodyDocument.convertedFrom.toUpperCase()} email body as the document → ${bodyDocument.filename}`);
+      pdfAttachments.push(bodyDocument);
+    }
+  }
+
+  // Check for PDF attachments (nothing to retry - the email won't change)
+  if (pdfAttachments.length === 0 && failures.length === 0) {
+    console.log(allAttachments.length === 0
+      ? '  ℹ️  No attachments found'
+      : `  ℹ️  Found ${allAttachments.length} attachment(s), but no PDFs`);
+    return { outcome: 'no_documents', processor, attachments: [], senderAuth };
+  }
+
+  console.log(`  📎 Found ${pdfAttachments.length} PDF attachment(s)`);
 
-    const authHeader = oauth.toHeader(oauth.authorize(requestData, token));
-    authHeader.Authorization += ', realm="' + CONFIG.netsuite.accountId + '"';
+  // Filename filters, pre-flight, classification and fan-out
+  const routing = await routeDocuments(pdfAttachments, processors, { force });
 
-    // Prepare payload with folder IDs
-    const payload = {
-      pdfBase64: pdfBuffer.toString('base64'),
-      pdfFilename: filename,
-      emailSubject: emailSubject,
-      extractedData: extractedData,
-      processedDate: new Date().toISOString(),
-      pdfFolderId: pdfFolderId,
-      jsonFolderId: jsonFolderId
-    };
+  // CLASSIFY_RULES and alsoSendTo can hand documents to processors the email
+  // did not match - those get the same sender authentication check
+  const quarantinedTarget = enforceSenderAuth(routing.groups.map(group => group.processor));
+  if (quarantinedTarget) return quarantinedTarget;
 
-    // Send to NetSuite
-    const response = await axios.post(CONFIG.netsuite.restletUrl, payload, {
-      headers: {
-        ...authHeader,
-        'Content-Type': 'application/json'
-      },
-      timeout: 60000 // 60 second timeout
-    });
+  if (routing.groups.length === 0 && failures.length === 0 && routing.results.every(a => a.status === 'unrouted')) {
+    console.log(`  ℹ️  Found ${pdfAttachments.length} PDF(s), but none passed the attachment filters`);
+    return { outcome: 'no_documents', processor, attachments: routing.results, senderAuth };
+  }
 
-    console.log(`  ✓ Uploaded to NetSuite successfully`);
-    console.log(`    PDF File ID: ${response.data.pdfFileId || 'N/A'}`);
-    console.log(`    JSON File ID: ${response.data.jsonFileId || 'N/A'}`);
+  const uploadTracking = options.prepareUpload ? await options.prepareUpload() : {};
 
-    return {
-      success: true,
-      pdfFileId: response.data.pdfFileId,
-      jsonFileId: response.data.jsonFileId,
-      response: response.data
-    };
+  // Failed link downloads, unreadable ZIPs and pre-flight failures count as
+  // incomplete attachments so the email is retried
+  const attachments = [...failures, ...routing.results];
+  for (const group of routing.groups) {
+    attachments.push(...await processPdfAttachments(group.documents, group.processor, parsed, {
+      metadata: { ...options.metadata, matchedOn, senderAuth },
+      alreadyUploaded: uploadTracking.alreadyUploaded,
+      onUploaded: uploadTracking.onUploaded,
+      force
+    }));
+  }
 
-  } catch (error) {
-    console.error(`  ✗ NetSuite upload failed:`, error.message);
-    if (error.response) {
-      console.error(`    Status: ${error.response.status}`);
-      console.error(`    Data:`, error.response.data);
-    }
-    return {
-      success: false,
-      error: error.message
-    };
+  const incomplete = attachments.filter(a => !COMPLETE_ATTACHMENT_STATUSES.includes(a.status));
+  if (incomplete.length > 0) {
+    return { outcome: 'incomplete', processor, attachments, senderAuth };
   }
+
+  await recordProcessedMessage(parsed.messageId, {
+    source: options.metadata?.sourceMailbox || options.metadata?.source || 'unknown',
+    subject: parsed.subject || null
+  });
+  return { outcome: 'complete', processor, attachments, senderAuth };
 }
 
 /**
- * Saves analysis results to disk
+ * Per-attachment routing for the processEmail() result: one entry per
+ * document with every processor it went to (fan-out copies included)
+ *
+ * @param {Array<Object>} attachments - Attachment results
+ * @returns {Array<Object>} { filename, routes: [{ processor, status, fanOutFrom }] }
  */
-async function processEmail(seqno, imap) {
-  return new Promise((resolve, reject) => {
-    const fetch = imap.fetch(seqno, {
-      bodies: '',
-      struct: true,
-      markSeen: CONFIG.polling.markAsRead
+function summarizeRouting(attachments) {
+  const byDocument = new Map();
+  for (const attachment of attachments) {
+    const filename = attachment.sourcePath || attachment.filename;
+    if (!byDocument.has(filename)) byDocument.set(filename, { filename, routes: [] });
+    const route = { processor: attachment.processor || null, status: attachment.status };
+    if (attachment.fanOutFrom) route.fanOutFrom = attachment.fanOutFrom;
+    byDocument.get(filename).routes.push(route);
+  }
+
+  const routing = [...byDocument.values()];
+  if (routing.length > 0) {
+    console.log('  🧭 Routing:');
+    routing.forEach(entry => {
+      console.log(`     ${entry.filename} → ${entry.routes.map(route => `${route.processor || 'none'} (${route.status}${route.fanOutFrom ? ', copy' : ''})`).join(', ')}`);
     });
+  }
+  return routing;
+}
 
-    fetch.on('message', (msg, seqno) => {
-      console.log(`\n📧 Processing email #${seqno}`);
+/**
+ * Runs one email through the full pipeline and files it
+ *
+ * Lifecycle: fetch → parse → match → extract + upload every PDF → disposition.
+ * The promise only settles after every attachment has a final status. The
+ * message is flagged/moved as processed only when all PDFs reached NetSuite;
+ * partial failures stay in place (unread) on the retry list, and PDFs that
+ * already uploaded are skipped on the next attempt. After
+ * CONFIG.polling.maxEmailAttempts the message is filed as failed. Vendor
+ * notifications (NOTIFY_RULES) are sent once the outcome is final.
+ *
+ * @param {number} uid - Message UID
+ * @param {Imap} imap - Connected IMAP client with the mailbox open
+ * @param {Object} source - Mailbox source the message belongs to
+ * @param {string} mailboxKey - State key from getMailboxKey()
+ * @returns {Promise<Object>} { source, uid, outcome, attachments, routing } where
+ *   outcome is processed, duplicate, failed, unmatched, quarantined, retry or missing;
+ *   routing lists the processors each attachment went to (see summarizeRouting())
+ */
+async function processEmail(uid, imap, source, mailboxKey) {
+  const raw = await fetchRawMessage(imap, uid);
 
-      msg.on('body', async (stream, info) => {
-        try {
-          // Parse the email
-          const parsed = await simpleParser(stream);
-
-          console.log(`  From: ${parsed.from?.text || 'Unknown'}`);
-          console.log(`  Subject: ${parsed.subject || 'No Subject'}`);
-          console.log(`  Date: ${parsed.date || 'Unknown'}`);
-
-          // Match email against processor rules
-          const processor = matchEmailProcessor(parsed);
-          
-          if (!processor) {
-            console.log('  ⏭️  Skipping - no matching processor for this email');
-            return;
-          }
+  if (!raw) {
+    console.log(`\n📧 [${source.name}] Email UID ${uid} no longer exists - skipping`);
+    await clearPendingEmail(mailboxKey, uid);
+    return { source: source.name, uid, outcome: 'missing', attachments: [] };
+  }
 
-          // Check for PDF attachments
-          if (!parsed.attachments || parsed.attachments.length === 0) {
-            console.log('  ℹ️  No attachments found');
-            return;
-          }
+  console.log(`\n📧 [${source.name}] Processing email UID ${uid}`);
 
-          const pdfAttachments = parsed.attachments.filter(
-            att => att.contentType === 'application/pdf'
-          );
+  // Parse the email
+  const parsed = await simpleParser(raw);
 
-          if (pdfAttachments.length === 0) {
-            console.log(`  ℹ️  Found ${parsed.attachments.length} attachment(s), but no PDFs`);
-            return;
-          }
+  let pending = null;
+  const { outcome, processor, attachments } = await processParsedEmail(parsed, {
+    metadata: { sourceMailbox: source.name },
+    raw,
+    prepareUpload: async () => {
+      pending = await getPendingEmail(mailboxKey, uid);
+      pending.attempts++;
+      if (pending.attempts > 1) {
+        console.log(`  🔁 Retry attempt ${pending.attempts}/${CONFIG.polling.maxEmailAttempts} (${pending.uploaded.length} PDF(s) already uploaded)`);
+      }
+      return {
+        alreadyUploaded: pending.uploaded,
+        onUploaded: async (dedupKey) => {
+          // Persist immediately so a crash mid-batch never re-uploads this PDF
+          pending.uploaded.push(dedupKey);
+          pending.updatedAt = new Date().toISOString();
+          await saveState();
+        }
+      };
+    }
+  });
 
-          console.log(`  📎 Found ${pdfAttachments.length} PDF attachment(s)`);
-
-          // Process PDFs with batch concurrency (optimized with prompt caching)
-          // NOTE: Prompt caching reduces token usage by ~90% after first PDF,
-          // allowing higher throughput without hitting rate limits
-          const BATCH_SIZE = 4; // Process 4 PDFs concurrently (safe with caching)
-          const BATCH_DELAY_MS = 6000; // 6 second delay between batches
-          const RETRY_ATTEMPTS = 3; // Retry failed PDFs up to 3 times
-          const PER_PDF_DELAY_MS = 1000; // 1 second delay between individual PDFs
-          let processedCount = 0;
-          let successCount = 0;
-          let failCount = 0;
-
-          // Function to process a single PDF with retry logic
-          const processSinglePdf = async (pdf, index, retryCount = 0) => {
-            try {
-              // Small delay between PDFs to spread out API calls
-              if (index > 0 && retryCount === 0) {
-                await new Promise(resolve => setTimeout(resolve, PER_PDF_DELAY_MS));
-              }
-              
-              console.log(`  [${index + 1}/${pdfAttachments.length}] Processing: ${pdf.filename}`);
-
-              // Save PDF if configured
-              await savePdf(pdf.content, pdf.filename, parsed.subject);
-
-              // Process with Claude using processor's custom prompt
-              const result = await processPdfWithClaude(
-                pdf.content,
-                pdf.filename,
-                parsed.subject || 'No Subject',
-                processor.claudePrompt // Use NetSuite prompt if available
-              );
-
-              if (result.success) {
-                console.log(`  ✓ [${index + 1}/${pdfAttachments.length}] Claude analysis complete for ${pdf.filename}`);
-
-                // Parse JSON from Claude response
-                let extractedData = null;
-                let renamedFilename = pdf.filename; // Track potentially renamed filename
-                
-                try {
-                  let jsonStr = result.analysis;
-                  if (jsonStr.includes('```json')) {
-                    const startIdx = jsonStr.indexOf('```json') + 7;
-                    const endIdx = jsonStr.indexOf('```', startIdx);
-                    jsonStr = jsonStr.substring(startIdx, endIdx).trim();
-                  }
-                  extractedData = JSON.parse(jsonStr);
-                  console.log(`  ✓ Parsed JSON: Invoice ${extractedData.invoiceNumber || 'N/A'}`);
-                  
-                  // Rename PDF file to invoice number if available
-                  if (extractedData.invoiceNumber) {
-                    const originalExt = path.extname(pdf.filename);
-                    renamedFilename = extractedData.invoiceNumber + originalExt;
-                    console.log(`  ✓ Renamed PDF: ${pdf.filename} → ${renamedFilename}`);
-                  } else {
-                    console.log(`  ℹ️  No invoice number found, keeping original filename: ${pdf.filename}`);
-                  }
-                  
-                  // Validate original bill numbers are 8 digits
-                  const validationResult = validateBillNumbers(extractedData);
-                  if (!validationResult.valid && retryCount === 0) {
-                    console.log(`  ⚠️  Bill number validation failed: ${validationResult.reason}`);
-                    console.log(`  🔄 Retrying with enhanced prompt (attempt 2/2)...`);
-                    
-                    // Retry once with enhanced prompt focusing on bill numbers
-                    const retryPrompt = 'CRITICAL: Previous extraction had invalid bill numbers.\n\n' + validationResult.reason + '\n\nPlease re-analyze this PDF and extract EXACTLY 8-digit bill numbers for each line item.\nRemember: Bill numbers are embedded in the Description column (look for N or W followed by 8 digits).\nIf the number spans multiple lines, concatenate to get exactly 8 digits total.\n\nAll line items MUST have valid 8-digit original bill numbers.\n\n' + (processor.claudePrompt || '') + '\n\nDocument: ' + pdf.filename;
-                    
-                    const retryResult = await processPdfWithClaude(
-                      pdf.content,
-                      pdf.filename,
-                      parsed.subject || 'No Subject',
-                      retryPrompt
-                    );
-                    
-                    if (retryResult.success) {
-                      let retryJsonStr = retryResult.analysis;
-                      if (retryJsonStr.includes('```json')) {
-                        const startIdx = retryJsonStr.indexOf('```json') + 7;
-                        const endIdx = retryJsonStr.indexOf('```', startIdx);
-                        retryJsonStr = retryJsonStr.substring(startIdx, endIdx).trim();
-                      }
-                      const retryExtractedData = JSON.parse(retryJsonStr);
-                      const retryValidation = validateBillNumbers(retryExtractedData);
-                      
-                      if (retryValidation.valid) {
-                        console.log(`  ✓ Retry successful - all bill numbers are now 8 digits`);
-                        extractedData = retryExtractedData;
-                      } else {
-                        console.log(`  ⚠️  Retry still has invalid bill numbers: ${retryValidation.reason}`);
-                        console.log(`  → Proceeding with original extraction`);
-                      }
-                    }
-                  } else if (!validationResult.valid) {
-                    console.log(`  ⚠️  Bill number validation failed: ${validationResult.reason}`);
-                    console.log(`  → Max retries reached, proceeding with current data`);
-                  }
-                  
-                } catch (e) {
-                  console.error(`  ⚠️  Could not parse JSON from Claude response:`, e.message);
-                }
-
-                // Save result
-                await saveResult({
-                  ...result,
-                  extractedData,
-                  renamedFilename,
-                  emailFrom: parsed.from?.text,
-                  emailDate: parsed.date,
-                  processedAt: new Date().toISOString()
-                });
-
-                // Upload to NetSuite if configured and data extracted successfully
-                if (extractedData) {
-                  await uploadToNetSuite(
-                    pdf.content,
-                    renamedFilename, // Use renamed filename with invoice number
-                    extractedData,
-                    parsed.subject || 'No Subject',
-                    processor.netsuite // Pass folder IDs from matched processor
-                  );
-                }
-                
-                successCount++;
-                processedCount++;
-                console.log(`  📊 Progress: ${processedCount}/${pdfAttachments.length} (${successCount} success, ${failCount} failed)`);
-                
-                return { success: true, filename: pdf.filename };
-              } else {
-                failCount++;
-                processedCount++;
-                console.error(`  ✗ [${index + 1}/${pdfAttachments.length}] Failed: ${pdf.filename} - ${result.error}`);
-                console.log(`  📊 Progress: ${processedCount}/${pdfAttachments.length} (${successCount} success, ${failCount} failed)`);
-                return { success: false, filename: pdf.filename, error: result.error };
-              }
-            } catch (error) {
-              // Check if it's a rate limit error and retry
-              const isRateLimitError = error.message && (error.message.includes('rate_limit_error') || error.message.includes('429'));
-              
-              if (isRateLimitError && retryCount < RETRY_ATTEMPTS) {
-                const delaySeconds = Math.pow(2, retryCount + 1) * 15; // Exponential backoff: 30s, 60s, 120s
-                console.warn(`  ⏸️  Rate limit hit for ${pdf.filename}. Retrying in ${delaySeconds}s... (attempt ${retryCount + 1}/${RETRY_ATTEMPTS})`);
-                console.warn(`  💡 Tip: Consider reducing batch size or increasing delays if rate limits persist`);
-                await new Promise(resolve => setTimeout(resolve, delaySeconds * 1000));
-                return processSinglePdf(pdf, index, retryCount + 1); // Retry
-              }
-              
-              failCount++;
-              processedCount++;
-              console.error(`  ✗ [${index + 1}/${pdfAttachments.length}] Error processing ${pdf.filename}:`, error.message);
-              console.log(`  📊 Progress: ${processedCount}/${pdfAttachments.length} (${successCount} success, ${failCount} failed)`);
-              return { success: false, filename: pdf.filename, error: error.message };
-            }
-          };
+  if (outcome === 'duplicate') {
+    await applyDisposition(imap, uid, 'processed', source);
+    await clearPendingEmail(mailboxKey, uid);
+    return { source: source.name, uid, outcome: 'duplicate', attachments: [] };
+  }
 
-          // Process PDFs in batches
-          for (let i = 0; i < pdfAttachments.length; i += BATCH_SIZE) {
-            const batch = pdfAttachments.slice(i, i + BATCH_SIZE);
-            const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-            const totalBatches = Math.ceil(pdfAttachments.length / BATCH_SIZE);
-            
-            console.log(`  🔄 Processing batch ${batchNum}/${totalBatches} (${batch.length} PDFs)...`);
-            
-            // Process batch concurrently
-            const batchResults = await Promise.allSettled(
-              batch.map((pdf, batchIndex) => processSinglePdf(pdf, i + batchIndex))
-            );
-            
-            console.log(`  ✓ Batch ${batchNum}/${totalBatches} complete\n`);
-            
-            // Delay between batches to avoid rate limiting
-            if (i + BATCH_SIZE < pdfAttachments.length) {
-              console.log(`  ⏸️  Waiting ${BATCH_DELAY_MS / 1000} seconds before next batch...`);
-              await new Promise(resolve => setTimeout(resolve, BATCH_DELAY_MS));
-            }
-          }
+  if (outcome === 'unmatched' || outcome === 'quarantined') {
+    await applyDisposition(imap, uid, outcome, source);
+    return { source: source.name, uid, outcome, attachments: [] };
+  }
 
-          console.log(`\n  🎉 All PDFs processed: ${successCount} succeeded, ${failCount} failed`);
+  const routing = summarizeRouting(attachments);
 
-        } catch (error) {
-          console.error(`  ✗ Error processing email #${seqno}:`, error.message);
-          reject(error);
-        }
-      });
-    });
+  if (outcome === 'no_documents') {
+    await notifyVendor(parsed, processor, outcome, []);
+    await applyDisposition(imap, uid, 'failed', source);
+    return { source: source.name, uid, outcome: 'failed', attachments, routing };
+  }
 
-    fetch.once('error', reject);
-    fetch.once('end', () => {
-      console.log(`✓ Completed processing email #${seqno}`);
-      resolve();
-    });
-  });
+  if (outcome === 'complete') {
+    await notifyVendor(parsed, processor, outcome, attachments);
+    await applyDisposition(imap, uid, 'processed', source);
+    await clearPendingEmail(mailboxKey, uid);
+    console.log(`✓ [${source.name}] Completed processing email UID ${uid}`);
+    return { source: source.name, uid, outcome: 'processed', attachments, routing };
+  }
+
+  const incomplete = attachments.filter(a => !COMPLETE_ATTACHMENT_STATUSES.includes(a.status));
+  pending.lastError = incomplete.map(a => `${a.filename}: ${a.status}`).join('; ');
+  pending.updatedAt = new Date().toISOString();
+
+  if (pending.attempts >= CONFIG.polling.maxEmailAttempts) {
+    console.log(`  ✗ ${incomplete.length} PDF(s) still failing after ${pending.attempts} attempt(s) - giving up`);
+    await notifyVendor(parsed, processor, outcome, attachments);
+    await applyDisposition(imap, uid, 'failed', source);
+    await clearPendingEmail(mailboxKey, uid);
+    return { source: source.name, uid, outcome: 'failed', attachments, routing };
+  }
+
+  pending.nextAttemptAt = new Date(Date.now() + CONFIG.polling.retryDelayMs).toISOString();
+  await saveState();
+  console.log(`  🔁 ${incomplete.length} PDF(s) incomplete - [${source.name}] email UID ${uid} left in place for retry after ${pending.nextAttemptAt}`);
+  return { source: source.name, uid, outcome: 'retry', attachments, routing };
+}
+
+/**
+ * Records an email whose processing threw (fetch/parse error, bug) on the
+ * retry list so one bad message cannot block the mailbox. After
+ * CONFIG.polling.maxEmailAttempts it is filed as failed.
+ *
+ * A lost connection is not the message's fault: the error is rethrown and
+ * the attempt not counted, and the check stops there.
+ *
+ * @param {number} attemptsBefore - pending.attempts before this attempt started
+ * @returns {Promise<Object>} { source, uid, outcome: 'retry' | 'failed', attachments, error }
+ */
+async function recordEmailError(imap, uid, source, mailboxKey, error, attemptsBefore) {
+  if (imap.state === 'disconnected') {
+    throw error;
+  }
+
+  console.error(`  ✗ [${source.name}] Email UID ${uid} failed: ${error.message}`);
+  const pending = await getPendingEmail(mailboxKey, uid);
+  if (pending.attempts === attemptsBefore) {
+    pending.attempts++;
+  }
+  pending.lastError = error.message;
+  pending.updatedAt = new Date().toISOString();
+
+  if (pending.attempts >= CONFIG.polling.maxEmailAttempts) {
+    console.log(`  ✗ Giving up on email UID ${uid} after ${pending.attempts} attempt(s)`);
+    try {
+      await applyDisposition(imap, uid, 'failed', source);
+    } catch (dispositionError) {
+      console.error(`  ⚠️  Could not file email UID ${uid} as failed: ${dispositionError.message}`);
+    }
+    await clearPendingEmail(mailboxKey, uid);
+    return { source: source.name, uid, outcome: 'failed', attachments: [], error: error.message };
+  }
+
+  pending.nextAttemptAt = new Date(Date.now() + CONFIG.polling.retryDelayMs).toISOString();
+  await saveState();
+  return { source: source.name, uid, outcome: 'retry', attachments: [], error: error.message };
 }
 
 /**
  * Fetches and processes new emails
+ *
+ * Messages are processed strictly in UID order. Once a mailbox has a
+ * checkpoint, only UIDs above the last processed UID are fetched, so read
+ * flags set by humans no longer affect what gets processed. SEARCH_CRITERIA
+ * is only used to pick the starting set when there is no valid checkpoint.
+ * Emails on the retry list are attempted again before new mail, once their
+ * nextAttemptAt (EMAIL_RETRY_DELAY_MS after the last attempt) has passed.
+ *
+ * @param {Imap} imap - Connected IMAP client for the source's account
+ * @param {Object} source - Mailbox source to check (defaults to the first source)
+ * @returns {Promise<Object>} { source, results, pendingRetries, nextRetryAt } where
+ *   nextRetryAt is the earliest time a waiting retry is due (ms, or null)
  */
-async function checkForNewEmails(imap) {
+async function checkForNewEmails(imap, source = CONFIG.sources[0]) {
   return new Promise((resolve, reject) => {
-    imap.openBox(CONFIG.polling.mailbox, false, async (err, box) => {
+    imap.openBox(source.mailbox, false, async (err, box) => {
       if (err) {
         reject(err);
         return;
       }
 
-      console.log(`\n🔍 Checking mailbox: ${CONFIG.polling.mailbox}`);
+      console.log(`\n🔍 [${source.name}] Checking mailbox: ${source.mailbox}`);
       console.log(`   Total messages: ${box.messages.total}`);
       console.log(`   Unread messages: ${box.messages.new}`);
 
-      // Search for emails matching criteria
-      imap.search([CONFIG.polling.searchCriteria], async (err, results) => {
+      const mailboxKey = getMailboxKey(source);
+      let mailboxState;
+      try {
+        mailboxState = await getMailboxState(mailboxKey, box.uidvalidity);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const lastUid = mailboxState.lastUid;
+      let criteria;
+      if (lastUid !== null) {
+        console.log(`   Checkpoint: UIDVALIDITY ${mailboxState.uidValidity}, last UID ${lastUid}`);
+        criteria = [['UID', `${lastUid + 1}:*`]];
+      } else {
+        console.log(`   Checkpoint: none - using search criteria ${source.searchCriteria}`);
+        criteria = [source.searchCriteria];
+      }
+
+      // Search for emails (node-imap search returns UIDs)
+      imap.search(criteria, async (err, results) => {
         if (err) {
           reject(err);
           return;
         }
 
-        if (!results || results.length === 0) {
+        // "n:*" always matches the highest UID, even when it is below n
+        const newUids = (results || [])
+          .filter(uid => lastUid === null || uid > lastUid)
+          .sort((a, b) => a - b);
+        const isDue = uid => !mailboxState.pending[uid].nextAttemptAt ||
+          Date.parse(mailboxState.pending[uid].nextAttemptAt) <= Date.now();
+        const waitingUids = Object.keys(mailboxState.pending)
+          .map(Number)
+          .filter(uid => !newUids.includes(uid));
+        const retryUids = waitingUids.filter(isDue).sort((a, b) => a - b);
+
+        // Earliest retry still waiting after this check
+        const summarize = results => {
+          const due = Object.values(mailboxState.pending)
+            .map(entry => Date.parse(entry.nextAttemptAt))
+            .filter(time => !isNaN(time));
+          return {
+            source: source.name,
+            results,
+            pendingRetries: Object.keys(mailboxState.pending).length,
+            nextRetryAt: due.length > 0 ? Math.min(...due) : null
+          };
+        };
+
+        if (waitingUids.length > retryUids.length) {
+          console.log(`   ⏳ ${waitingUids.length - retryUids.length} message(s) waiting for their retry time`);
+        }
+
+        if (newUids.length === 0 && retryUids.length === 0) {
           console.log('   ℹ️  No new messages to process');
-          resolve();
+          resolve(summarize([]));
           return;
         }
 
-        console.log(`   📬 Found ${results.length} message(s) to process`);
+        if (retryUids.length > 0) {
+          console.log(`   🔁 Retrying ${retryUids.length} incomplete message(s) (UIDs ${retryUids.join(', ')})`);
+        }
+        if (newUids.length > 0) {
+          console.log(`   📬 Found ${newUids.length} message(s) to process (UIDs ${newUids[0]}-${newUids[newUids.length - 1]})`);
+        }
+
+        // Process each message sequentially, advancing the checkpoint after each one.
+        // Retryable emails (and emails whose processing threw) are tracked in
+        // the pending list, so the checkpoint can move past them without losing them.
+        const processSafely = async uid => {
+          const attemptsBefore = mailboxState.pending[uid]?.attempts || 0;
+          try {
+            return await processEmail(uid, imap, source, mailboxKey);
+          } catch (error) {
+            return recordEmailError(imap, uid, source, mailboxKey, error, attemptsBefore);
+          }
+        };
 
-        // Process each message sequentially
         try {
-          for (const seqno of results) {
-            await processEmail(seqno, imap);
+          const emailResults = [];
+          for (const uid of retryUids) {
+            emailResults.push(await processSafely(uid));
           }
-          resolve();
+          for (const uid of newUids) {
+            emailResults.push(await processSafely(uid));
+            await saveCheckpoint(mailboxKey, uid);
+          }
+          resolve(summarize(emailResults));
         } catch (error) {
           reject(error);
         }
@@ -816,25 +4694,337 @@ async function checkForNewEmails(imap) {
   });
 }
 
+/**
+ * Looks up an enabled processor by name (drop-folder subfolders, sidecars and API requests)
+ */
+function findProcessorByName(name) {
+  return CONFIG.processors.find(p => p.enabled && p.name === name) || null;
+}
+
+/**
+ * Runs files submitted outside email (drop folder, HTTP API) through the
+ * same pipeline as attachments: ZIP expansion, PDF/image selection,
+ * pre-flight, classification, Claude extraction and NetSuite upload
+ *
+ * @param {Array<Object>} files - Attachment-shaped files ({ filename, contentType, content, sourcePath })
+ * @param {Object} processor - Processor to extract with
+ * @param {Object} submission - { subject, from, metadata } recorded in place of the email fields,
+ *   plus force to reprocess PDFs found in the dedup index
+ * @returns {Promise<Object>} { outcome: 'processed' | 'failed', attachments, error }
+ */
+async function processSubmittedFiles(files, processor, submission) {
+  const unpacked = await expandZipAttachments(files);
+  const documents = await selectDocumentAttachments(unpacked.attachments);
+  if (documents.length === 0) {
+    return unpacked.failures.length > 0
+      ? { outcome: 'failed', attachments: unpacked.failures, error: unpacked.failures.map(a => `${a.filename}: ${a.status}`).join('; ') }
+      : { outcome: 'failed', attachments: [], error: 'no PDF found' };
+  }
+
+  // Stand-in for the parsed email fields the pipeline records
+  const pseudoEmail = {
+    subject: submission.subject,
+    from: { text: submission.from },
+    date: new Date()
+  };
+
+  // The processor was chosen explicitly, so its filename filters don't apply
+  const routing = await routeDocuments(documents, [processor], { force: submission.force, filters: false });
+  const attachments = [...unpacked.failures, ...routing.results];
+  for (const group of routing.groups) {
+    attachments.push(...await processPdfAttachments(group.documents, group.processor, pseudoEmail, {
+      metadata: submission.metadata,
+      force: submission.force
+    }));
+  }
+
+  const incomplete = attachments.filter(a => !COMPLETE_ATTACHMENT_STATUSES.includes(a.status));
+  if (incomplete.length > 0) {
+    return { outcome: 'failed', attachments, error: incomplete.map(a => `${a.filename}: ${a.status}`).join('; ') };
+  }
+
+  return { outcome: 'processed', attachments, error: null };
+}
+
+// Drop-folder source - see lib/drop-folder.js
+const { checkDropFolder, startDropFolderWatch, stopDropFolderWatch } = createDropFolder({
+  CONFIG,
+  findProcessorByName,
+  processSubmittedFiles,
+  isShuttingDown: () => shuttingDown
+});
+
+// Inbound-mail webhooks (Mailgun routes, SendGrid Inbound Parse) - see lib/webhooks.js
+const webhooks = createWebhooks({ CONFIG, parseAuthenticationResults });
+const { verifyInboundWebhook, parseInboundWebhook, getWebhookSenderAuth, isWebhookEnabled } = webhooks;
+
+// HTTP API (document submission, job status, webhook routes) - see lib/api.js
+const { startApiServer, stopApiServer } = createApi({
+  CONFIG,
+  webhooks,
+  findProcessorByName,
+  classifyAttachment,
+  processSubmittedFiles,
+  processParsedEmail,
+  notifyVendor,
+  loadState,
+  saveState,
+  COMPLETE_ATTACHMENT_STATUSES
+});
+
+// IMAP connection supervisors - one per mailbox source
+// Each connection gets its own session so that a check stranded on a dead
+// socket can never block checks on the replacement connection
+const supervisors = [];
+let shuttingDown = false;
+
+/**
+ * Creates the supervisor state for a mailbox source
+ */
+function createSupervisor(source) {
+  return {
+    source,
+    state: 'disconnected',
+    attempt: 0,
+    session: null,
+    reconnectTimer: null
+  };
+}
+
+/**
+ * Records and logs an IMAP connection state transition
+ * @param {Object} supervisor - Supervisor for the mailbox source
+ * @param {string} state - New state (connecting, connected, disconnected, reconnecting, stopped)
+ * @param {string} detail - Optional context for the log line
+ */
+function setConnectionState(supervisor, state, detail = '') {
+  const previous = supervisor.state;
+  supervisor.state = state;
+  console.log(`🔌 [${supervisor.source.name}] IMAP connection: ${previous} → ${state}${detail ? ' (' + detail + ')' : ''}`);
+}
+
+/**
+ * Exponential backoff with jitter for reconnect attempts
+ * @param {number} attempt - Reconnect attempt number (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getReconnectDelay(attempt) {
+  const exponential = Math.min(
+    CONFIG.reconnect.maxDelayMs,
+    CONFIG.reconnect.baseDelayMs * Math.pow(2, attempt - 1)
+  );
+  // Jitter between 50% and 100% of the delay so restarts don't stampede the server
+  return Math.round(exponential * (0.5 + Math.random() * 0.5));
+}
+
+/**
+ * Runs checkForNewEmails() unless a check is already running, in which case
+ * another check is queued to run as soon as the current one finishes
+ * @param {Object} session - Connection session ({ imap, source, checkInProgress, ... })
+ * @param {string} reason - Why the check was triggered (for logging)
+ */
+function requestCheck(session, reason) {
+  if (session.closed) return;
+
+  if (session.checkInProgress) {
+    session.checkPending = true;
+    return;
+  }
+
+  session.checkInProgress = true;
+  console.log(`\n⏰ [${session.source.name}] Mailbox check triggered (${reason})`);
+
+  let pendingRetries = 0;
+  let nextRetryAt = null;
+
+  checkForNewEmails(session.imap, session.source)
+    .then(summary => {
+      pendingRetries = summary.pendingRetries;
+      nextRetryAt = summary.nextRetryAt;
+    })
+    .catch(error => {
+      console.error(`[${session.source.name}] Error checking emails:`, error.message);
+    })
+    .finally(() => {
+      session.checkInProgress = false;
+      if (session.checkPending) {
+        session.checkPending = false;
+        requestCheck(session, 'new mail arrived during previous check');
+        return;
+      }
+
+      // IDLE only wakes us for new mail, so schedule a check for the next due retry
+      if (pendingRetries > 0 && !session.retryTimer && !session.closed) {
+        const delay = nextRetryAt === null ? CONFIG.polling.retryDelayMs : Math.max(nextRetryAt - Date.now(), 0);
+        console.log(`   ⏳ [${session.source.name}] ${pendingRetries} email(s) awaiting retry - re-checking in ${delay}ms`);
+        session.retryTimer = setTimeout(() => {
+          session.retryTimer = null;
+          requestCheck(session, 'retry incomplete emails');
+        }, delay);
+      }
+    });
+}
+
+/**
+ * Starts the IDLE or interval watch loop once a connection is ready
+ */
+function startMailboxWatch(supervisor, session) {
+  const imap = session.imap;
+  const source = session.source;
+  const useIdle = CONFIG.polling.mode === 'idle' && imap.serverSupports('IDLE');
+
+  if (useIdle) {
+    // Push mode: the server notifies us (EXISTS) while the mailbox is idling
+    console.log(`   📡 [${source.name}] Push mode: IMAP IDLE on ${source.mailbox}`);
+    imap.on('mail', (numNewMsgs) => {
+      console.log(`\n📨 [${source.name}] IDLE notification: ${numNewMsgs} new message(s)`);
+      requestCheck(session, 'IDLE notification');
+    });
+  } else {
+    if (CONFIG.polling.mode === 'idle') {
+      console.log(`   ⚠️  [${source.name}] Server does not advertise IDLE - falling back to interval polling`);
+    }
+    console.log(`   ⏱️  [${source.name}] Interval mode: checking every ${CONFIG.polling.intervalMs}ms`);
+
+    session.pollTimer = setInterval(() => {
+      requestCheck(session, 'poll interval');
+    }, CONFIG.polling.intervalMs);
+  }
+
+  // Initial check (re-opens the mailbox that IDLE runs against)
+  requestCheck(session, supervisor.attempt > 0 ? 'reconnected' : 'startup');
+}
+
+/**
+ * Tears down a dropped session and schedules a reconnect
+ */
+function handleDisconnect(supervisor, session, reason) {
+  if (session.closed) return;
+  session.closed = true;
+
+  if (session.pollTimer) {
+    clearInterval(session.pollTimer);
+    session.pollTimer = null;
+  }
+  if (session.retryTimer) {
+    clearTimeout(session.retryTimer);
+    session.retryTimer = null;
+  }
+  session.imap.removeAllListeners('mail');
+
+  if (shuttingDown) {
+    setConnectionState(supervisor, 'stopped', reason);
+    return;
+  }
+
+  setConnectionState(supervisor, 'disconnected', reason);
+  scheduleReconnect(supervisor);
+}
+
+/**
+ * Schedules the next connection attempt using exponential backoff
+ */
+function scheduleReconnect(supervisor) {
+  if (supervisor.reconnectTimer) return;
+
+  supervisor.attempt++;
+  const delay = getReconnectDelay(supervisor.attempt);
+  setConnectionState(supervisor, 'reconnecting', `attempt ${supervisor.attempt} in ${(delay / 1000).toFixed(1)}s`);
+
+  supervisor.reconnectTimer = setTimeout(() => {
+    supervisor.reconnectTimer = null;
+    connectImap(supervisor);
+  }, delay);
+}
+
+/**
+ * Opens a new IMAP connection for a mailbox source and wires it into its supervisor
+ */
+function connectImap(supervisor) {
+  const source = supervisor.source;
+  const imap = new Imap(source.imap);
+  const session = {
+    imap,
+    source,
+    checkInProgress: false,
+    checkPending: false,
+    pollTimer: null,
+    retryTimer: null,
+    closed: false
+  };
+  supervisor.session = session;
+
+  setConnectionState(supervisor, 'connecting', `${source.imap.user}@${source.imap.host}:${source.imap.port}`);
+
+  imap.once('ready', () => {
+    if (supervisor.attempt > 0) {
+      console.log(`\n✓ [${source.name}] Reconnected to IMAP server after ${supervisor.attempt} attempt(s)`);
+    } else {
+      console.log(`\n✓ [${source.name}] Connected to IMAP server`);
+    }
+    setConnectionState(supervisor, 'connected');
+    startMailboxWatch(supervisor, session);
+    supervisor.attempt = 0;
+  });
+
+  imap.on('error', (err) => {
+    console.error(`[${source.name}] IMAP connection error:`, err.message);
+    handleDisconnect(supervisor, session, 'error: ' + err.message);
+    // Make sure the socket is gone; the resulting close event is ignored
+    imap.destroy();
+  });
+
+  imap.once('end', () => {
+    console.log(`[${source.name}] IMAP connection ended`);
+    handleDisconnect(supervisor, session, 'end');
+  });
+
+  imap.once('close', (hadError) => {
+    handleDisconnect(supervisor, session, hadError ? 'closed with error' : 'closed');
+  });
+
+  imap.connect();
+}
+
 /**
  * Main polling loop
  */
 async function startPolling() {
   console.log('🚀 Email PDF Processor starting...');
+  if (CONFIG.processorFile.path) {
+    await loadProcessorFile(); // Invalid files stop the worker here
+  }
   validateConfig();
+  await acquireStateLock('worker');
 
   console.log(`\n⚙️  Configuration:`);
-  console.log(`   IMAP Host: ${CONFIG.imap.host}:${CONFIG.imap.port}`);
-  console.log(`   IMAP User: ${CONFIG.imap.user}`);
-  console.log(`   Mailbox: ${CONFIG.polling.mailbox}`);
-  console.log(`   Search: ${CONFIG.polling.searchCriteria}`);
+  console.log(`   Mailbox Sources: ${CONFIG.sources.length}`);
+  CONFIG.sources.forEach(source => {
+    const disposition = source.disposition;
+    console.log(`   - ${source.name}: ${source.imap.user}@${source.imap.host}:${source.imap.port} / ${source.mailbox}`);
+    console.log(`       Search: ${source.searchCriteria} | Mark as Read: ${source.markAsRead}`);
+    console.log(`       Disposition: ${disposition.action}${disposition.action !== 'none' ? ' (' + Object.entries(disposition.folders).map(([k, v]) => k + ' → ' + (v || 'stay')).join(', ') + ')' : ''}`);
+  });
+  console.log(`   Drop Folder: ${CONFIG.dropFolder.dir ? CONFIG.dropFolder.dir + ' (scan every ' + CONFIG.dropFolder.pollIntervalMs + 'ms)' : 'disabled'}`);
+  console.log(`   HTTP API: ${CONFIG.api.port ? CONFIG.api.host + ':' + CONFIG.api.port : 'disabled'}`);
+  console.log(`   Inbound Webhooks: ${WEBHOOK_PROVIDERS.filter(isWebhookEnabled).join(', ') || 'disabled'}`);
+  console.log(`   Vendor Notifications: ${Object.keys(CONFIG.notifications.rules).length > 0 ? Object.keys(CONFIG.notifications.rules).join(', ') + ' via ' + CONFIG.notifications.transport + ' (statements ' + CONFIG.notifications.statementDay + ' ' + CONFIG.notifications.statementHour + ':00)' : 'disabled'}`);
+  console.log(`   Processor File: ${CONFIG.processorFile.path ? CONFIG.processorFile.path + ' (merge ' + CONFIG.processorFile.merge + ', reload check every ' + CONFIG.processorFile.pollIntervalMs + 'ms)' : 'none'}`);
+  console.log(`   Unmatched Store: ${CONFIG.unmatched.dir ? CONFIG.unmatched.dir + (CONFIG.unmatched.digestTo.length > 0 ? ' (digest to ' + CONFIG.unmatched.digestTo.join(', ') + ' daily after ' + CONFIG.unmatched.digestHour + ':00)' : '') : 'disabled'}`);
+  console.log(`   Poll Mode: ${CONFIG.polling.mode}`);
+  console.log(`   IDLE Refresh Interval: ${CONFIG.imap.keepalive.idleInterval}ms`);
   console.log(`   Poll Interval: ${CONFIG.polling.intervalMs}ms (emails)`);
+  console.log(`   Reconnect Backoff: ${CONFIG.reconnect.baseDelayMs}ms → ${CONFIG.reconnect.maxDelayMs}ms`);
   console.log(`   Config Sync Interval: 600000ms (10 min)`);
-  console.log(`   Mark as Read: ${CONFIG.polling.markAsRead}`);
+  console.log(`   State File: ${CONFIG.state.file}`);
+  console.log(`   Max Email Attempts: ${CONFIG.polling.maxEmailAttempts} (retry every ${CONFIG.polling.retryDelayMs}ms)`);
   console.log(`   Claude Model: ${CONFIG.claude.model}`);
   console.log(`   Save PDFs: ${CONFIG.output.saveProcessedPdfs}`);
   console.log(`   Save Results: ${CONFIG.output.saveResults}`);
   console.log(`   NetSuite Integration: ${CONFIG.netsuite.enabled ? 'ENABLED' : 'DISABLED'}`);
+  if (CONFIG.netsuite.enabled) {
+    console.log(`   NetSuite Snapshot: ${CONFIG.netsuite.snapshot.file ? CONFIG.netsuite.snapshot.file + ' (max age ' + CONFIG.netsuite.snapshot.maxAgeHours + 'h' + (CONFIG.netsuite.snapshot.alertTo.length > 0 ? ', alerts to ' + CONFIG.netsuite.snapshot.alertTo.join(', ') : '') + ')' : 'disabled'}`);
+  }
 
   // Fetch initial processor configs from NetSuite
   await fetchNetSuiteConfigs();
@@ -848,46 +5038,106 @@ async function startPolling() {
     }, 600000); // 10 minutes
   }
 
-  const imap = new Imap(CONFIG.imap);
-
-  imap.once('ready', () => {
-    console.log('\n✓ Connected to IMAP server');
-
-    // Initial check
-    checkForNewEmails(imap).catch(error => {
-      console.error('Error checking emails:', error.message);
-    });
-
-    // Set up polling interval
-    setInterval(() => {
-      checkForNewEmails(imap).catch(error => {
-        console.error('Error checking emails:', error.message);
-      });
-    }, CONFIG.polling.intervalMs);
+  // One supervised connection per mailbox source
+  CONFIG.sources.forEach(source => {
+    const supervisor = createSupervisor(source);
+    supervisors.push(supervisor);
+    connectImap(supervisor);
   });
 
-  imap.once('error', (err) => {
-    console.error('IMAP connection error:', err.message);
-    process.exit(1);
-  });
+  if (CONFIG.dropFolder.dir) {
+    await startDropFolderWatch();
+  }
 
-  imap.once('end', () => {
-    console.log('IMAP connection ended');
-  });
+  if (CONFIG.api.port) {
+    await startApiServer();
+  }
 
-  imap.connect();
+  startStatementSchedule();
+  startUnmatchedDigestSchedule();
+  startProcessorFileWatch();
+  startNetSuiteSnapshotCheck();
 
   // Handle graceful shutdown
   process.on('SIGINT', () => {
     console.log('\n\n🛑 Shutting down gracefully...');
-    imap.end();
+    shuttingDown = true;
+    stopDropFolderWatch();
+    stopApiServer();
+    if (statementTimer) {
+      clearInterval(statementTimer);
+    }
+    stopUnmatchedDigestSchedule();
+    if (processorFileTimer) {
+      clearInterval(processorFileTimer);
+    }
+    stopNetSuiteSnapshotCheck();
+    supervisors.forEach(supervisor => {
+      if (supervisor.reconnectTimer) {
+        clearTimeout(supervisor.reconnectTimer);
+      }
+      if (supervisor.session) {
+        supervisor.session.imap.end();
+      }
+    });
     process.exit(0);
   });
 }
 
+/**
+ * Command-line entry point
+ *
+ *   node email-poller.js                                  - run the worker
+ *   node email-poller.js --list-unmatched                 - list stored unmatched emails
+ *   node email-poller.js --replay-unmatched <id ...|all>  - replay stored unmatched emails
+ *   node email-poller.js --send-unmatched-digest          - send the unmatched digest now
+ *   node email-poller.js --verify-netsuite-snapshot       - check the NetSuite config snapshot
+ *
+ * --verify-netsuite-snapshot exits 1 when the snapshot is missing, corrupt or stale.
+ *
+ * Add --force to a replay to ignore the dedup index.
+ */
+async function runCommand(args) {
+  const [command, ...rest] = args.filter(arg => arg !== '--force');
+  const force = args.includes('--force');
+
+  if (!command) {
+    return startPolling();
+  }
+
+  if (command === '--list-unmatched') {
+    const entries = await listUnmatchedEmails();
+    console.log(`📥 ${entries.length} unmatched email(s) in ${CONFIG.unmatched.dir}`);
+    entries.forEach(entry => {
+      const suggested = entry.suggestions.map(suggestion => suggestion.processor).join(', ');
+      console.log(`   ${entry.id}  ${entry.status.padEnd(13)} ${(entry.date || entry.storedAt).substring(0, 16).replace('T', ' ')}  ${entry.from || 'Unknown'}  "${entry.subject || ''}"` +
+        `  (${entry.attachments.length} attachment(s)${suggested ? '; suggested: ' + suggested : ''})`);
+    });
+  } else if (command === '--replay-unmatched') {
+    if (rest.length === 0) {
+      throw new Error('Usage: --replay-unmatched <id ...|all>');
+    }
+    validateConfig();
+    await acquireStateLock(`${command} command`);
+    const results = await replayUnmatchedEmails(rest.includes('all') ? 'all' : rest, { force });
+    console.log(`\n📊 Replayed ${results.length} email(s): ${results.map(result => `${result.id} ${result.outcome}`).join(', ') || 'none pending'}`);
+  } else if (command === '--send-unmatched-digest') {
+    validateConfig();
+    await acquireStateLock(`${command} command`);
+    const count = await sendUnmatchedDigest({ force: true });
+    console.log(count > 0 ? `✓ Digest sent (${count} email(s))` : 'ℹ️  Nothing to send');
+  } else if (command === '--verify-netsuite-snapshot') {
+    process.exit(await verifyNetSuiteSnapshot() ? 0 : 1);
+  } else {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  process.exit(0);
+}
+
 // Start the application
 if (require.main === module) {
-  startPolling().catch(error => {
+  runCommand(process.argv.slice(2)).catch(error => {
     console.error('Fatal error:', error);
     process.exit(1);
   });
@@ -896,5 +5146,22 @@ if (require.main === module) {
 module.exports = {
   processPdfWithClaude,
   checkForNewEmails,
+  readZipEntries,
+  readProcessorFile,
+  processParsedEmail,
+  getDownloadFilename,
+  acquireStateLock,
+  checkDropFolder,
+  startApiServer,
+  verifyInboundWebhook,
+  parseInboundWebhook,
+  getWebhookSenderAuth,
+  checkSenderAuthentication,
+  sendStatements,
+  setNotificationTransport,
+  listUnmatchedEmails,
+  replayUnmatchedEmails,
+  sendUnmatchedDigest,
+  verifyNetSuiteSnapshot,
   CONFIG
 };
@@ -0,0 +1,616 @@
+/**
+ * HTTP API: authenticated document submission with job status polling, plus
+ * the inbound-mail webhook routes (signatures and payloads in webhooks.js)
+ *
+ *   GET  /health              - liveness check (no auth)
+ *   POST /api/jobs            - submit documents (Bearer token)
+ *   GET  /api/jobs/:jobId     - job status and per-attachment results (Bearer token)
+ *   POST /webhooks/:provider  - inbound mail from mailgun/sendgrid (provider signature)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const busboy = require('busboy');
+const { WEBHOOK_PROVIDERS } = require('./webhooks');
+
+// How often the webhook retry list is checked for emails that are due
+const WEBHOOK_RETRY_CHECK_MS = 60000;
+
+/**
+ * Writes a JSON response
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Creates an error carrying the HTTP status to respond with
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Reads a multipart/form-data (or urlencoded) body into memory
+ *
+ * @param {Object} headers - Request headers (content-type carries the boundary)
+ * @param {stream.Readable|Buffer} input - Request stream, or an already-buffered body
+ * @param {Object} limits - { maxFiles, maxFileBytes }
+ * @returns {Promise<Object>} { fields, files } - files are { fieldName, filename, contentType, content }
+ */
+function readMultipartBody(headers, input, limits) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers,
+        limits: { files: limits.maxFiles, fileSize: limits.maxFileBytes, fields: 50 }
+      });
+    } catch (error) {
+      reject(httpError(400, 'Expected a multipart/form-data body'));
+      return;
+    }
+
+    const fields = {};
+    const files = [];
+    let failed = null;
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (fieldName, stream, info) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => {
+        failed = failed || httpError(413, `${info.filename || fieldName} is larger than ${limits.maxFileBytes} bytes`);
+      });
+      stream.on('end', () => {
+        files.push({
+          fieldName,
+          filename: info.filename || fieldName,
+          contentType: info.mimeType,
+          content: Buffer.concat(chunks)
+        });
+      });
+    });
+
+    parser.on('filesLimit', () => {
+      failed = failed || httpError(413, `More than ${limits.maxFiles} files`);
+    });
+    parser.on('error', error => reject(httpError(400, 'Malformed multipart body: ' + error.message)));
+    parser.on('close', () => (failed ? reject(failed) : resolve({ fields, files })));
+
+    if (Buffer.isBuffer(input)) {
+      parser.end(input);
+    } else {
+      input.pipe(parser);
+    }
+  });
+}
+
+/**
+ * Buffers a request body, failing with 413 past maxBytes
+ */
+function readRequestBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        tooLarge = true;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => (tooLarge
+      ? reject(httpError(413, `Body is larger than ${maxBytes} bytes`))
+      : resolve(Buffer.concat(chunks))));
+  });
+}
+
+/**
+ * Creates the HTTP API for a worker configuration
+ *
+ * @param {Object} deps
+ * @param {Object} deps.CONFIG - Worker configuration (reads CONFIG.api and CONFIG.webhooks)
+ * @param {Object} deps.webhooks - Webhook helpers from createWebhooks()
+ * @param {Function} deps.findProcessorByName - Enabled processor by name, or null
+ * @param {Function} deps.classifyAttachment - Detects PDFs, ZIPs and images by content
+ * @param {Function} deps.processSubmittedFiles - Runs files through extraction and upload
+ * @param {Function} deps.processParsedEmail - Runs a parsed email through the pipeline
+ * @param {Function} deps.notifyVendor - Sends the receipt/exception reply for a final outcome
+ * @param {Function} deps.loadState - Loads the poller state (webhook retry list)
+ * @param {Function} deps.saveState - Persists the poller state
+ * @param {Array<string>} deps.COMPLETE_ATTACHMENT_STATUSES - Statuses that count as done
+ * @returns {Object} { startApiServer, stopApiServer, retryWebhookEmails }
+ */
+function createApi({
+  CONFIG,
+  webhooks,
+  findProcessorByName,
+  classifyAttachment,
+  processSubmittedFiles,
+  processParsedEmail,
+  notifyVendor,
+  loadState,
+  saveState,
+  COMPLETE_ATTACHMENT_STATUSES
+}) {
+  const apiJobs = new Map();
+  let apiQueue = Promise.resolve();
+  let apiServer = null;
+  let webhookRetryTimer = null;
+  const queuedWebhooks = new Set(); // Retry list IDs queued or running
+
+  /**
+   * Checks the "Authorization: Bearer <API_TOKEN>" header (constant-time compare)
+   */
+  function isAuthorizedRequest(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+
+    const expected = Buffer.from(CONFIG.api.token);
+    const given = Buffer.from(match[1].trim());
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Public view of an API job for the status endpoint
+   */
+  function serializeApiJob(job) {
+    return {
+      jobId: job.id,
+      source: job.source,
+      status: job.status,
+      processor: job.processor,
+      subject: job.subject,
+      files: job.files,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      attachments: job.attachments
+    };
+  }
+
+  /**
+   * Forgets finished jobs older than CONFIG.api.jobRetentionMs
+   */
+  function pruneApiJobs() {
+    const cutoff = Date.now() - CONFIG.api.jobRetentionMs;
+    for (const [id, job] of apiJobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        apiJobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Registers a job for status polling (webhook retries after a restart
+   * pass the job ID of the original post)
+   */
+  function createApiJob(source, processor, subject, files, id = crypto.randomUUID()) {
+    pruneApiJobs();
+
+    const job = {
+      id,
+      source,
+      status: 'queued',
+      processor,
+      subject,
+      files,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      attachments: []
+    };
+    apiJobs.set(job.id, job);
+    return job;
+  }
+
+  /**
+   * Queues an API job; jobs run one at a time, in submission order
+   *
+   * @param {Object} job - Job from createApiJob()
+   * @param {Function} run - Async work returning { outcome, attachments, error, processor }
+   *   (outcome 'processed' completes the job, 'retry' leaves it retrying; anything else fails it)
+   */
+  function enqueueApiJob(job, run) {
+    apiQueue = apiQueue.then(async () => {
+      job.status = 'processing';
+      job.startedAt = new Date().toISOString();
+      console.log(`\n🌐 [${job.source}] Processing job ${job.id}`);
+
+      try {
+        const result = await run();
+        job.status = { processed: 'completed', retry: 'retrying' }[result.outcome] || 'failed';
+        job.processor = result.processor || job.processor;
+        job.attachments = result.attachments;
+        job.error = result.error;
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+      }
+
+      job.finishedAt = new Date().toISOString();
+      console.log(`${{ completed: '✓', retrying: '🔁' }[job.status] || '✗'} [${job.source}] Job ${job.id} ${job.status}${job.error ? ' - ' + job.error : ''}`);
+    });
+  }
+
+  /**
+   * POST /api/jobs - multipart body with a "processor" field, optional
+   * "subject" and "force" (=true reprocesses duplicates) fields and one or
+   * more PDF (or ZIP/scanned image) files
+   */
+  async function handleCreateJob(req, res) {
+    const { fields, files } = await readMultipartBody(req.headers, req, CONFIG.api);
+
+    if (!fields.processor) {
+      throw httpError(400, 'Missing "processor" field');
+    }
+    const processor = findProcessorByName(fields.processor);
+    if (!processor) {
+      throw httpError(400, `No enabled processor named "${fields.processor}"`);
+    }
+    if (files.length === 0) {
+      throw httpError(400, 'No files uploaded');
+    }
+
+    const rejected = files
+      .map(file => ({ file, classification: classifyAttachment(file) }))
+      .filter(({ classification }) => classification.type === 'other');
+    if (rejected.length === files.length) {
+      throw httpError(400, 'No PDF, ZIP or image files: ' + rejected.map(({ file, classification }) => `${file.filename} (${classification.reason})`).join(', '));
+    }
+
+    const job = createApiJob(
+      'api',
+      processor.name,
+      fields.subject || files.map(file => file.filename).join(', '),
+      files.map(file => ({ filename: file.filename, size: file.content.length }))
+    );
+
+    const submitted = files.map(file => ({
+      filename: file.filename,
+      contentType: file.contentType,
+      content: file.content,
+      size: file.content.length,
+      sourcePath: `api: ${job.id} > ${file.filename}`
+    }));
+
+    enqueueApiJob(job, () => processSubmittedFiles(submitted, processor, {
+      subject: job.subject,
+      from: 'api',
+      metadata: { source: 'api', jobId: job.id },
+      force: fields.force === 'true'
+    }));
+
+    console.log(`🌐 [api] Queued job ${job.id}: ${files.length} file(s) for ${processor.name}`);
+    sendJson(res, 202, { jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}` });
+  }
+
+  /**
+   * The webhook retry list in the state file, keyed by job ID:
+   *   { provider, contentType, attempts, uploaded: [sha256...], lastError, nextAttemptAt, receivedAt, updatedAt }
+   * The request body itself is kept as CONFIG.webhooks.spoolDir/<id>.body.
+   */
+  async function getWebhookRetryList() {
+    const state = await loadState();
+    if (!state.webhooks) state.webhooks = { pending: {} };
+    return state.webhooks.pending;
+  }
+
+  function getSpoolPath(id) {
+    return path.join(CONFIG.webhooks.spoolDir, `${id}.body`);
+  }
+
+  /**
+   * Takes an email off the webhook retry list and deletes its spooled body
+   */
+  async function clearWebhookEmail(id) {
+    const pending = await getWebhookRetryList();
+    delete pending[id];
+    await saveState();
+    await fs.rm(getSpoolPath(id), { force: true });
+  }
+
+  /**
+   * Runs one webhook email through the pipeline. Like IMAP mail, an email
+   * with incomplete documents (or whose processing threw) stays on the retry
+   * list: attempted again after EMAIL_RETRY_DELAY_MS, up to MAX_EMAIL_ATTEMPTS,
+   * skipping PDFs that already uploaded.
+   *
+   * @param {string} id - Job ID (also the retry list key)
+   * @param {string} provider - mailgun or sendgrid
+   * @param {Object} parsed - Parsed email from parseInboundWebhook()
+   * @param {Object} fields - Form fields of the post
+   * @returns {Promise<Object>} Job result for enqueueApiJob()
+   */
+  async function processWebhookEmail(id, provider, parsed, fields) {
+    const pending = (await getWebhookRetryList())[id];
+    pending.attempts++;
+    console.log(`📧 [webhook:${provider}] ${parsed.messageId || 'no Message-ID'}`);
+    if (pending.attempts > 1) {
+      console.log(`  🔁 Retry attempt ${pending.attempts}/${CONFIG.polling.maxEmailAttempts} (${pending.uploaded.length} PDF(s) already uploaded)`);
+    }
+
+    let result;
+    try {
+      result = await processParsedEmail(parsed, {
+        metadata: { source: 'webhook', webhookProvider: provider, jobId: id },
+        raw: webhooks.getWebhookRawMime(provider, fields),
+        senderAuthProvider: webhooks.getWebhookSenderAuth(provider, fields),
+        prepareUpload: async () => ({
+          alreadyUploaded: pending.uploaded,
+          onUploaded: async (dedupKey) => {
+            // Persist immediately so a crash mid-batch never re-uploads this PDF
+            pending.uploaded.push(dedupKey);
+            pending.updatedAt = new Date().toISOString();
+            await saveState();
+          }
+        })
+      });
+    } catch (error) {
+      console.error(`  ✗ [webhook:${provider}] Job ${id} failed: ${error.message}`);
+      result = { outcome: 'error', processor: null, attachments: [], error: error.message };
+    }
+
+    const errors = {
+      unmatched: 'no matching processor',
+      quarantined: 'quarantined: ' + result.senderAuth?.reason,
+      no_documents: 'no PDF found',
+      incomplete: result.attachments
+        .filter(a => !COMPLETE_ATTACHMENT_STATUSES.includes(a.status))
+        .map(a => `${a.filename}: ${a.status}`)
+        .join('; '),
+      error: result.error
+    };
+    const error = errors[result.outcome] || null;
+    const processor = result.processor?.name || null;
+
+    if (['incomplete', 'error'].includes(result.outcome) && pending.attempts < CONFIG.polling.maxEmailAttempts) {
+      pending.lastError = error;
+      pending.nextAttemptAt = new Date(Date.now() + CONFIG.polling.retryDelayMs).toISOString();
+      pending.updatedAt = new Date().toISOString();
+      await saveState();
+      return { outcome: 'retry', processor, attachments: result.attachments, error: `${error} - retry after ${pending.nextAttemptAt}` };
+    }
+
+    // Final outcome: notify the vendor and forget the spooled payload
+    if (['complete', 'no_documents', 'incomplete'].includes(result.outcome)) {
+      await notifyVendor(parsed, result.processor, result.outcome, result.attachments);
+    }
+    await clearWebhookEmail(id);
+
+    return {
+      outcome: ['complete', 'duplicate'].includes(result.outcome) ? 'processed' : 'failed',
+      processor,
+      attachments: result.attachments,
+      error
+    };
+  }
+
+  /**
+   * Queues a webhook email on the job queue (the caller has already added
+   * its ID to queuedWebhooks, so the retry timer cannot queue it twice)
+   */
+  function enqueueWebhookEmail(job, provider, parsed, fields) {
+    enqueueApiJob(job, () => processWebhookEmail(job.id, provider, parsed, fields)
+      .finally(() => queuedWebhooks.delete(job.id)));
+  }
+
+  /**
+   * Queues the webhook emails on the retry list whose nextAttemptAt has
+   * passed, including those a stopped worker left behind. The spooled body
+   * is parsed again; its signature was checked when it arrived.
+   *
+   * @returns {Promise<number>} Emails queued (resolves once they have run)
+   */
+  async function retryWebhookEmails() {
+    const pending = await getWebhookRetryList();
+    const due = Object.entries(pending).filter(([id, entry]) => !queuedWebhooks.has(id) &&
+      (!entry.nextAttemptAt || Date.parse(entry.nextAttemptAt) <= Date.now()));
+    due.forEach(([id]) => queuedWebhooks.add(id));
+
+    for (const [id, entry] of due) {
+      let fields;
+      let parsed;
+      try {
+        const body = await readMultipartBody({ 'content-type': entry.contentType }, await fs.readFile(getSpoolPath(id)), {
+          maxFiles: CONFIG.api.maxFiles,
+          maxFileBytes: CONFIG.webhooks.maxBodyBytes
+        });
+        fields = body.fields;
+        parsed = await webhooks.parseInboundWebhook(entry.provider, body.fields, body.files);
+      } catch (error) {
+        console.error(`❌ [webhook:${entry.provider}] Dropping job ${id} from the retry list - the spooled payload is unusable: ${error.message}`);
+        await clearWebhookEmail(id);
+        queuedWebhooks.delete(id);
+        continue;
+      }
+
+      const job = apiJobs.get(id) || createApiJob(
+        'webhook:' + entry.provider,
+        null,
+        parsed.subject || 'No Subject',
+        (parsed.attachments || []).map(att => ({ filename: att.filename, size: att.size })),
+        id
+      );
+      job.status = 'queued';
+      enqueueWebhookEmail(job, entry.provider, parsed, fields);
+    }
+
+    await apiQueue;
+    return due.length;
+  }
+
+  /**
+   * POST /webhooks/:provider - verifies the signature, converts the payload
+   * and queues the email through the same pipeline as IMAP mail. The body
+   * is saved to CONFIG.webhooks.spoolDir and put on the retry list before
+   * answering 200, so the email survives failed documents and restarts; if
+   * it cannot be saved the answer is 500 and the provider redelivers. The
+   * result can be polled at /api/jobs/:jobId.
+   */
+  async function handleInboundWebhook(provider, req, res) {
+    const rawBody = await readRequestBody(req, CONFIG.webhooks.maxBodyBytes);
+    const { fields, files } = await readMultipartBody(req.headers, rawBody, {
+      maxFiles: CONFIG.api.maxFiles,
+      maxFileBytes: CONFIG.webhooks.maxBodyBytes
+    });
+
+    const verification = webhooks.verifyInboundWebhook(provider, { headers: req.headers, fields, rawBody });
+    if (!verification.valid) {
+      console.log(`⚠️  [webhook:${provider}] Rejected request: ${verification.reason}`);
+      throw httpError(401, 'Invalid webhook signature');
+    }
+
+    let parsed;
+    try {
+      parsed = await webhooks.parseInboundWebhook(provider, fields, files);
+    } catch (error) {
+      throw httpError(400, 'Could not parse inbound email: ' + error.message);
+    }
+
+    const job = createApiJob(
+      'webhook:' + provider,
+      null,
+      parsed.subject || 'No Subject',
+      (parsed.attachments || []).map(att => ({ filename: att.filename, size: att.size }))
+    );
+
+    queuedWebhooks.add(job.id);
+    try {
+      await fs.mkdir(CONFIG.webhooks.spoolDir, { recursive: true });
+      await fs.writeFile(getSpoolPath(job.id), rawBody);
+      const receivedAt = new Date().toISOString();
+      (await getWebhookRetryList())[job.id] = {
+        provider,
+        contentType: req.headers['content-type'],
+        attempts: 0,
+        uploaded: [],
+        lastError: null,
+        nextAttemptAt: null,
+        receivedAt,
+        updatedAt: receivedAt
+      };
+      await saveState();
+    } catch (error) {
+      queuedWebhooks.delete(job.id);
+      apiJobs.delete(job.id);
+      throw httpError(500, 'Could not save inbound email: ' + error.message);
+    }
+
+    enqueueWebhookEmail(job, provider, parsed, fields);
+
+    console.log(`📨 [webhook:${provider}] Queued job ${job.id}: ${parsed.subject || 'No Subject'}`);
+    sendJson(res, 200, { jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}` });
+  }
+
+  /**
+   * Routes an HTTP request
+   *
+   *   GET  /health              - liveness check (no auth)
+   *   POST /api/jobs            - submit documents (Bearer token)
+   *   GET  /api/jobs/:jobId     - job status and per-attachment results (Bearer token)
+   *   POST /webhooks/:provider  - inbound mail from mailgun/sendgrid (provider signature)
+   */
+  async function handleApiRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && pathname === '/health') {
+        sendJson(res, 200, { status: 'ok' });
+        return;
+      }
+
+      const webhookMatch = /^\/webhooks\/([a-z]+)$/.exec(pathname);
+      if (req.method === 'POST' && webhookMatch && WEBHOOK_PROVIDERS.includes(webhookMatch[1]) && webhooks.isWebhookEnabled(webhookMatch[1])) {
+        await handleInboundWebhook(webhookMatch[1], req, res);
+        return;
+      }
+
+      if (!pathname.startsWith('/api/')) {
+        throw httpError(404, 'Not found');
+      }
+      if (!isAuthorizedRequest(req)) {
+        throw httpError(401, 'Missing or invalid bearer token');
+      }
+
+      if (req.method === 'POST' && pathname === '/api/jobs') {
+        await handleCreateJob(req, res);
+        return;
+      }
+
+      const jobMatch = /^\/api\/jobs\/([\w-]+)$/.exec(pathname);
+      if (req.method === 'GET' && jobMatch) {
+        const job = apiJobs.get(jobMatch[1]);
+        if (!job) {
+          throw httpError(404, 'Unknown job ' + jobMatch[1]);
+        }
+        sendJson(res, 200, serializeApiJob(job));
+        return;
+      }
+
+      throw httpError(404, 'Not found');
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) {
+        console.error(`❌ [api] ${req.method} ${pathname} failed:`, error.message);
+      }
+      // Drain whatever is left of the body before answering
+      req.resume();
+      sendJson(res, statusCode, { error: error.message });
+    }
+  }
+
+  /**
+   * Starts the HTTP API on CONFIG.api.port
+   */
+  function startApiServer() {
+    return new Promise((resolve, reject) => {
+      apiServer = http.createServer(handleApiRequest);
+      apiServer.once('error', reject);
+      apiServer.listen(CONFIG.api.port, CONFIG.api.host, () => {
+        console.log(`🌐 HTTP API listening on ${CONFIG.api.host}:${apiServer.address().port}`);
+
+        // Webhook emails left on the retry list by an earlier run go first
+        const retry = () => retryWebhookEmails().catch(error => {
+          console.error('❌ Webhook retry check failed:', error.message);
+        });
+        retry();
+        webhookRetryTimer = setInterval(retry, WEBHOOK_RETRY_CHECK_MS);
+        resolve(apiServer);
+      });
+    });
+  }
+
+  /**
+   * Stops accepting HTTP requests (queued jobs still run)
+   */
+  function stopApiServer() {
+    if (webhookRetryTimer) {
+      clearInterval(webhookRetryTimer);
+      webhookRetryTimer = null;
+    }
+    if (apiServer) {
+      apiServer.close();
+      apiServer = null;
+    }
+  }
+
+  return { startApiServer, stopApiServer, retryWebhookEmails };
+}
+
+module.exports = { createApi, readMultipartBody };
@@ -0,0 +1,318 @@
+/**
+ * Drop-folder source
+ *
+ * Files dropped in a subfolder named after a processor (or next to a
+ * "<file>.processor.json" sidecar naming one) feed the same pipeline as email
+ * attachments. Files are claimed with an atomic rename into the worker's
+ * .processing/<worker id> directory and end up in done/ or failed/.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DROP_FOLDER_RESERVED = ['done', 'failed', '.processing'];
+const DROP_FOLDER_SIDECAR_SUFFIX = '.processor.json';
+
+/**
+ * Creates the drop-folder watcher for a worker configuration
+ *
+ * @param {Object} deps
+ * @param {Object} deps.CONFIG - Worker configuration (reads CONFIG.dropFolder)
+ * @param {Function} deps.findProcessorByName - Enabled processor by name, or null
+ * @param {Function} deps.processSubmittedFiles - Runs files through extraction and upload
+ * @param {Function} deps.isShuttingDown - True once the worker is stopping
+ * @returns {Object} { checkDropFolder, startDropFolderWatch, stopDropFolderWatch }
+ */
+function createDropFolder({ CONFIG, findProcessorByName, processSubmittedFiles, isShuttingDown }) {
+  let dropFolderTimer = null;
+  let dropFolderCheckInProgress = false;
+
+  /**
+   * Whether a drop-folder entry is still being written or is not a document:
+   * dotfiles, sidecars and browser/editor temp files are skipped
+   */
+  function isDropFolderTempFile(name) {
+    return name.startsWith('.') ||
+      name.endsWith(DROP_FOLDER_SIDECAR_SUFFIX) ||
+      /\.(part|partial|tmp|crdownload|download)$/i.test(name) ||
+      name.endsWith('~');
+  }
+
+  /**
+   * Lists files ready for pickup in the drop folder root and its processor
+   * subfolders. Files modified within CONFIG.dropFolder.settleMs are left for
+   * the next scan, since a copy may still be in progress.
+   *
+   * @returns {Promise<Array<Object>>} { dir, name, relativePath, folderProcessor }
+   */
+  async function listDropFolderFiles() {
+    const root = CONFIG.dropFolder.dir;
+    const dirs = [{ dir: root, folderProcessor: null }];
+
+    for (const entry of await fs.readdir(root, { withFileTypes: true })) {
+      if (entry.isDirectory() && !DROP_FOLDER_RESERVED.includes(entry.name) && !entry.name.startsWith('.')) {
+        dirs.push({ dir: path.join(root, entry.name), folderProcessor: entry.name });
+      }
+    }
+
+    const files = [];
+    const settledBefore = Date.now() - CONFIG.dropFolder.settleMs;
+
+    for (const { dir, folderProcessor } of dirs) {
+      for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (!entry.isFile() || isDropFolderTempFile(entry.name)) continue;
+
+        const stat = await fs.stat(path.join(dir, entry.name));
+        if (stat.mtimeMs > settledBefore) continue;
+
+        files.push({
+          dir,
+          name: entry.name,
+          relativePath: path.relative(root, path.join(dir, entry.name)),
+          folderProcessor
+        });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * This worker's claim directory inside a drop folder (or subfolder):
+   * .processing/<CONFIG.dropFolder.workerId>
+   */
+  function getProcessingDir(dir) {
+    return path.join(dir, '.processing', CONFIG.dropFolder.workerId.replace(/[^\w.-]/g, '_'));
+  }
+
+  /**
+   * Claims a drop-folder file by renaming it (and its sidecar) into this
+   * worker's .processing directory. rename() is atomic, so a file is never
+   * picked up twice, even by a second worker on the same folder.
+   *
+   * @returns {Promise<Object|null>} { filePath, sidecarPath } or null if another worker took it
+   */
+  async function claimDropFile(file) {
+    const processingDir = getProcessingDir(file.dir);
+    await fs.mkdir(processingDir, { recursive: true });
+
+    const filePath = path.join(processingDir, file.name);
+    try {
+      await fs.rename(path.join(file.dir, file.name), filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const sidecarPath = filePath + DROP_FOLDER_SIDECAR_SUFFIX;
+    try {
+      await fs.rename(path.join(file.dir, file.name + DROP_FOLDER_SIDECAR_SUFFIX), sidecarPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return { filePath, sidecarPath };
+  }
+
+  /**
+   * Reads the optional "<file>.processor.json" sidecar: { processor, subject, force }
+   */
+  async function readDropFileSidecar(sidecarPath) {
+    try {
+      return JSON.parse(await fs.readFile(sidecarPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`invalid sidecar ${path.basename(sidecarPath)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Moves a claimed file (and sidecar) to done/ or failed/ under the drop
+   * folder root. Failed files get a "<file>.error.json" explaining why.
+   */
+  async function finishDropFile(claimed, file, outcome, details) {
+    const targetDir = path.join(CONFIG.dropFolder.dir, outcome === 'processed' ? 'done' : 'failed');
+    await fs.mkdir(targetDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const targetName = `${timestamp}_${file.name}`;
+    await fs.rename(claimed.filePath, path.join(targetDir, targetName));
+
+    try {
+      await fs.rename(claimed.sidecarPath, path.join(targetDir, targetName + DROP_FOLDER_SIDECAR_SUFFIX));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (outcome !== 'processed') {
+      await fs.writeFile(
+        path.join(targetDir, targetName + '.error.json'),
+        JSON.stringify({ file: file.relativePath, outcome, ...details, failedAt: new Date().toISOString() }, null, 2)
+      );
+    }
+
+    console.log(`  📁 Moved ${file.relativePath} → ${path.basename(targetDir)}/${targetName}`);
+  }
+
+  /**
+   * Runs one drop-folder file through the pipeline
+   *
+   * The processor comes from the sidecar's "processor" field, else the name
+   * of the subfolder the file was dropped in. The file is treated like an
+   * email attachment (PDF, ZIP or scanned image), extracted with
+   * processPdfWithClaude() and uploaded with uploadToNetSuite(). There is no
+   * retry list - anything short of a complete upload goes to failed/.
+   *
+   * @param {Object} file - Entry from listDropFolderFiles()
+   * @returns {Promise<Object|null>} { file, outcome, attachments }, or null if the file was claimed elsewhere
+   */
+  async function processDropFile(file) {
+    const claimed = await claimDropFile(file);
+    if (!claimed) return null;
+
+    console.log(`\n📂 [drop-folder] Processing ${file.relativePath}`);
+
+    const fail = async (error, attachments = []) => {
+      console.log(`  ✗ ${error}`);
+      await finishDropFile(claimed, file, 'failed', { error, attachments });
+      return { file: file.relativePath, outcome: 'failed', attachments };
+    };
+
+    let sidecar;
+    try {
+      sidecar = await readDropFileSidecar(claimed.sidecarPath);
+    } catch (error) {
+      return fail(error.message);
+    }
+
+    const processorName = sidecar?.processor || file.folderProcessor;
+    if (!processorName) {
+      return fail('no processor - drop the file in a processor subfolder or add a ' + DROP_FOLDER_SIDECAR_SUFFIX + ' sidecar');
+    }
+
+    const processor = findProcessorByName(processorName);
+    if (!processor) {
+      return fail(`no enabled processor named "${processorName}"`);
+    }
+    console.log(`  ✓ Processor: ${processor.name}${sidecar?.processor ? ' (sidecar)' : ' (folder)'}`);
+
+    let outcome, attachments, error;
+    try {
+      const content = await fs.readFile(claimed.filePath);
+      const attachment = {
+        filename: file.name,
+        contentType: 'application/octet-stream', // classified by content
+        content,
+        size: content.length,
+        sourcePath: 'drop-folder: ' + file.relativePath
+      };
+
+      ({ outcome, attachments, error } = await processSubmittedFiles([attachment], processor, {
+        subject: sidecar?.subject || file.name,
+        from: 'drop-folder',
+        metadata: { source: 'drop-folder', dropFolderPath: file.relativePath },
+        force: sidecar?.force === true
+      }));
+    } catch (processError) {
+      // Still file it in failed/ rather than leaving it claimed in .processing
+      return fail(processError.message);
+    }
+
+    if (outcome !== 'processed') {
+      return fail(error, attachments);
+    }
+
+    await finishDropFile(claimed, file, 'processed');
+    console.log(`✓ [drop-folder] Completed ${file.relativePath}`);
+    return { file: file.relativePath, outcome: 'processed', attachments };
+  }
+
+  /**
+   * Scans the drop folder once and processes every settled file in turn
+   *
+   * @returns {Promise<Array<Object>>} Results from processDropFile()
+   */
+  async function checkDropFolder() {
+    const results = [];
+
+    for (const file of await listDropFolderFiles()) {
+      try {
+        const result = await processDropFile(file);
+        if (result) results.push(result);
+      } catch (error) {
+        console.error(`  ✗ [drop-folder] Error processing ${file.relativePath}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Puts files this worker left in its .processing directory (stopped
+   * mid-file) back in their folder so the next scan picks them up again.
+   * Other workers' claims are left alone - they may still be processing them.
+   */
+  async function recoverDropFolder() {
+    const root = CONFIG.dropFolder.dir;
+    const dirs = [root];
+    for (const entry of await fs.readdir(root, { withFileTypes: true })) {
+      if (entry.isDirectory() && !DROP_FOLDER_RESERVED.includes(entry.name) && !entry.name.startsWith('.')) {
+        dirs.push(path.join(root, entry.name));
+      }
+    }
+
+    for (const dir of dirs) {
+      const processingDir = getProcessingDir(dir);
+      let names;
+      try {
+        names = await fs.readdir(processingDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const name of names) {
+        await fs.rename(path.join(processingDir, name), path.join(dir, name));
+        console.log(`  ↩️  Recovered ${path.relative(root, path.join(dir, name))} from an interrupted run`);
+      }
+    }
+  }
+
+  /**
+   * Starts watching the drop folder (scans every CONFIG.dropFolder.pollIntervalMs)
+   */
+  async function startDropFolderWatch() {
+    await fs.mkdir(CONFIG.dropFolder.dir, { recursive: true });
+    await recoverDropFolder();
+
+    const scan = async () => {
+      if (dropFolderCheckInProgress || isShuttingDown()) return;
+      dropFolderCheckInProgress = true;
+      try {
+        await checkDropFolder();
+      } catch (error) {
+        console.error('❌ [drop-folder] Scan failed:', error.message);
+      } finally {
+        dropFolderCheckInProgress = false;
+      }
+    };
+
+    console.log(`📂 Watching drop folder ${CONFIG.dropFolder.dir}`);
+    dropFolderTimer = setInterval(scan, CONFIG.dropFolder.pollIntervalMs);
+    scan();
+  }
+
+  /**
+   * Stops the drop-folder scans (a file already being processed finishes)
+   */
+  function stopDropFolderWatch() {
+    if (dropFolderTimer) {
+      clearInterval(dropFolderTimer);
+      dropFolderTimer = null;
+    }
+  }
+
+  return { checkDropFolder, startDropFolderWatch, stopDropFolderWatch };
+}
+
+module.exports = { createDropFolder };
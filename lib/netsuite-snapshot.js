@@ -0,0 +1,242 @@
+/**
+ * Last-known-good NetSuite config snapshot
+ *
+ * Every successful config fetch is written to NETSUITE_SNAPSHOT_FILE with a
+ * SHA-256 of the records, so a cold start while NetSuite is down can still
+ * load processors. The snapshot's age is checked hourly and problems are
+ * emailed to NETSUITE_ALERT_TO.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const NETSUITE_SNAPSHOT_CHECK_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+
+/**
+ * Creates the snapshot store for a worker configuration
+ *
+ * @param {Object} deps
+ * @param {Object} deps.CONFIG - Worker configuration (reads CONFIG.netsuite.snapshot)
+ * @param {Function} deps.getConfigSource - Where the NetSuite processors in use came from:
+ *   { from: 'netsuite' | 'snapshot', fetchedAt }, or null before the first load
+ * @param {Function} deps.convertNetSuiteConfigs - NetSuite records → processors
+ * @param {Function} deps.describeProcessorMatch - One-line description of a processor's rule
+ * @param {Function} deps.sendNotification - Renders and sends a notification template
+ * @returns {Object} { saveNetSuiteSnapshot, readNetSuiteSnapshot, checkNetSuiteSnapshotAge,
+ *   startNetSuiteSnapshotCheck, stopNetSuiteSnapshotCheck, sendNetSuiteAlert, verifyNetSuiteSnapshot }
+ */
+function createNetSuiteSnapshot({ CONFIG, getConfigSource, convertNetSuiteConfigs, describeProcessorMatch, sendNotification }) {
+  let netsuiteSnapshotTimer = null;
+  const netsuiteAlertsSent = new Set(); // Alert keys already emailed (sendNetSuiteAlertOnce())
+
+  /**
+   * SHA-256 of the NetSuite config records as stored in the snapshot
+   */
+  function hashNetSuiteConfigs(configs) {
+    return crypto.createHash('sha256').update(JSON.stringify(configs)).digest('hex');
+  }
+
+  /**
+   * Writes the last-known-good NetSuite configs to NETSUITE_SNAPSHOT_FILE
+   * (temp file + rename). Failures are logged - the live configs are already in use.
+   */
+  async function saveNetSuiteSnapshot(configs) {
+    const file = CONFIG.netsuite.snapshot.file;
+    if (!file) return;
+
+    try {
+      const snapshot = {
+        savedAt: new Date().toISOString(),
+        count: configs.length,
+        sha256: hashNetSuiteConfigs(configs),
+        configs
+      };
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file + '.tmp', JSON.stringify(snapshot, null, 2));
+      await fs.rename(file + '.tmp', file);
+      console.log(`💾 Saved NetSuite config snapshot to ${file} (sha256 ${snapshot.sha256.substring(0, 12)})`);
+    } catch (error) {
+      console.error('❌ Could not save NetSuite config snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Reads and verifies the NetSuite config snapshot
+   * A snapshot whose hash doesn't match its configs (truncated or hand-edited
+   * file) is an error rather than a partial config.
+   * @returns {Promise<Object|null>} { savedAt, ageHours, count, sha256, configs }, null when there is none
+   */
+  async function readNetSuiteSnapshot() {
+    const file = CONFIG.netsuite.snapshot.file;
+    let raw;
+    try {
+      raw = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(snapshot.configs) || typeof snapshot.sha256 !== 'string' || isNaN(Date.parse(snapshot.savedAt))) {
+      throw new Error(`${file} is missing savedAt, sha256 or configs`);
+    }
+
+    const actual = hashNetSuiteConfigs(snapshot.configs);
+    if (actual !== snapshot.sha256) {
+      throw new Error(`${file} failed its integrity check (sha256 ${actual.substring(0, 12)}, expected ${snapshot.sha256.substring(0, 12)})`);
+    }
+
+    return {
+      savedAt: snapshot.savedAt,
+      ageHours: (Date.now() - Date.parse(snapshot.savedAt)) / 3600000,
+      count: snapshot.configs.length,
+      sha256: snapshot.sha256,
+      configs: snapshot.configs
+    };
+  }
+
+  /**
+   * Checks the age of the NetSuite configs - hourly, and after every failed fetch
+   *
+   * - Running on a snapshot (NetSuite unreachable) older than NETSUITE_SNAPSHOT_MAX_AGE_HOURS
+   * - Running on live configs, but the snapshot on disk is missing, unreadable or
+   *   older than the limit (saves are failing - the next cold start would load it)
+   *
+   * Problems are logged on every check and emailed to NETSUITE_ALERT_TO once per snapshot.
+   */
+  async function checkNetSuiteSnapshotAge() {
+    const { file, maxAgeHours } = CONFIG.netsuite.snapshot;
+    const configSource = getConfigSource();
+    if (!file || !configSource) return;
+
+    if (configSource.from === 'snapshot') {
+      const ageHours = (Date.now() - Date.parse(configSource.fetchedAt)) / 3600000;
+      if (ageHours <= maxAgeHours) return;
+
+      console.warn(`⚠️  Processor configs come from a NetSuite snapshot ${ageHours.toFixed(1)}h old (limit ${maxAgeHours}h)`);
+      await sendNetSuiteAlertOnce('stale:' + configSource.fetchedAt, 'snapshot is stale', [
+        `NetSuite could not be reached, so the worker is running on the config snapshot saved ${configSource.fetchedAt}`,
+        `(${ageHours.toFixed(1)} hours old, limit ${maxAgeHours} hours).`,
+        '',
+        'Vendor configuration changes made in NetSuite since then are not applied. Check the RESTlet and the OAuth token.'
+      ].join('\n'));
+      return;
+    }
+
+    let snapshot;
+    try {
+      snapshot = await readNetSuiteSnapshot();
+    } catch (error) {
+      console.error(`❌ NetSuite config snapshot is unusable: ${error.message}`);
+      await sendNetSuiteAlertOnce('unusable:' + error.message, 'snapshot is unusable', [
+        `The last-known-good snapshot used when NetSuite is down at startup cannot be read:`,
+        '',
+        `  ${error.message}`,
+        '',
+        'It is rewritten on the next successful fetch; if this persists, check that the file can be written.'
+      ].join('\n'));
+      return;
+    }
+    if (snapshot && snapshot.ageHours <= maxAgeHours) return;
+
+    const status = snapshot ? `${snapshot.ageHours.toFixed(1)}h old (limit ${maxAgeHours}h)` : 'missing';
+    console.warn(`⚠️  NetSuite config snapshot ${file} is ${status} although configs were fetched ${configSource.fetchedAt}`);
+    await sendNetSuiteAlertOnce('not-saved:' + (snapshot?.savedAt || 'missing'), 'snapshot is not being updated', [
+      `NetSuite configs were fetched ${configSource.fetchedAt}, but the snapshot at ${file} is ${status}.`,
+      '',
+      'A restart while NetSuite is down would load outdated configs. Check that the file can be written.'
+    ].join('\n'));
+  }
+
+  /**
+   * Sends a NetSuite config alert unless one with the same key was already sent
+   */
+  async function sendNetSuiteAlertOnce(key, problem, details) {
+    if (netsuiteAlertsSent.has(key)) return;
+    if (await sendNetSuiteAlert(problem, details)) {
+      netsuiteAlertsSent.add(key);
+    }
+  }
+
+  /**
+   * Starts the hourly NetSuite snapshot age check
+   */
+  function startNetSuiteSnapshotCheck() {
+    if (!CONFIG.netsuite.enabled || !CONFIG.netsuite.snapshot.file) return;
+
+    netsuiteSnapshotTimer = setInterval(() => {
+      checkNetSuiteSnapshotAge().catch(error => console.error('❌ NetSuite snapshot check failed:', error.message));
+    }, NETSUITE_SNAPSHOT_CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Stops the hourly NetSuite snapshot age check
+   */
+  function stopNetSuiteSnapshotCheck() {
+    if (netsuiteSnapshotTimer) {
+      clearInterval(netsuiteSnapshotTimer);
+      netsuiteSnapshotTimer = null;
+    }
+  }
+
+  /**
+   * Logs a NetSuite config alert and emails it to NETSUITE_ALERT_TO
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  async function sendNetSuiteAlert(problem, details) {
+    if (CONFIG.netsuite.snapshot.alertTo.length === 0) return false;
+
+    return sendNotification('netsuite_config_alert', null, { problem, details }, {
+      to: CONFIG.netsuite.snapshot.alertTo,
+      headers: { 'Auto-Submitted': 'auto-generated' }
+    });
+  }
+
+  /**
+   * Checks the NetSuite config snapshot (--verify-netsuite-snapshot)
+   * @returns {Promise<boolean>} Whether the snapshot is present, intact and within the age limit
+   */
+  async function verifyNetSuiteSnapshot() {
+    const file = CONFIG.netsuite.snapshot.file;
+    if (!file) {
+      console.log('ℹ️  NETSUITE_SNAPSHOT_FILE is empty - snapshots are disabled');
+      return false;
+    }
+
+    let snapshot;
+    try {
+      snapshot = await readNetSuiteSnapshot();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return false;
+    }
+    if (!snapshot) {
+      console.error(`❌ No NetSuite config snapshot at ${file}`);
+      return false;
+    }
+
+    const stale = snapshot.ageHours > CONFIG.netsuite.snapshot.maxAgeHours;
+    console.log(`✓ ${file}: ${snapshot.count} config(s), sha256 ${snapshot.sha256} verified`);
+    console.log(`${stale ? '⚠️ ' : '✓'} Saved ${snapshot.savedAt} (${snapshot.ageHours.toFixed(1)}h old, limit ${CONFIG.netsuite.snapshot.maxAgeHours}h)`);
+    convertNetSuiteConfigs(snapshot.configs).forEach(p => console.log(`   - ${p.name}: ${describeProcessorMatch(p)}`));
+    return !stale;
+  }
+
+  return {
+    saveNetSuiteSnapshot,
+    readNetSuiteSnapshot,
+    checkNetSuiteSnapshotAge,
+    startNetSuiteSnapshotCheck,
+    stopNetSuiteSnapshotCheck,
+    sendNetSuiteAlert,
+    verifyNetSuiteSnapshot
+  };
+}
+
+module.exports = { createNetSuiteSnapshot };
@@ -0,0 +1,383 @@
+/**
+ * Unmatched email store
+ *
+ * Emails no processor matched are kept as <UNMATCHED_DIR>/<id>.eml +
+ * <id>.json with suggested processors, listed in a daily digest and can be
+ * replayed once a processor exists for the sender.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { simpleParser } = require('mailparser');
+
+const UNMATCHED_DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000; // Hourly
+
+/**
+ * Creates the unmatched store for a worker configuration
+ *
+ * @param {Object} deps
+ * @param {Object} deps.CONFIG - Worker configuration (reads CONFIG.unmatched and CONFIG.processors)
+ * @param {Function} deps.getProcessorMatchRule - Compiled match rule of a processor
+ * @param {Function} deps.loadState - Loads the poller state (digest bookkeeping)
+ * @param {Function} deps.saveState - Persists the poller state
+ * @param {Function} deps.sendNotification - Renders and sends a notification template
+ * @param {Function} deps.loadProcessorFile - Reloads PROCESSORS_FILE before a replay
+ * @param {Function} deps.fetchNetSuiteConfigs - Refreshes NetSuite processors before a replay
+ * @param {Function} deps.processParsedEmail - Runs a parsed email through the pipeline
+ * @param {Function} deps.notifyVendor - Sends the receipt/exception reply for a final outcome
+ * @returns {Object} { storeUnmatchedEmail, listUnmatchedEmails, sendUnmatchedDigest,
+ *   startUnmatchedDigestSchedule, stopUnmatchedDigestSchedule, replayUnmatchedEmails }
+ */
+function createUnmatchedStore({
+  CONFIG,
+  getProcessorMatchRule,
+  loadState,
+  saveState,
+  sendNotification,
+  loadProcessorFile,
+  fetchNetSuiteConfigs,
+  processParsedEmail,
+  notifyVendor
+}) {
+  let unmatchedDigestTimer = null;
+
+  /**
+   * Sender domains of an email and its forwarded originals
+   */
+  function getSenderDomains(emails) {
+    const domains = new Set();
+    for (const email of emails) {
+      const addresses = email.from?.value?.map(entry => entry.address) || [email.from?.text];
+      for (const address of addresses) {
+        const match = /@([a-z0-9.-]+)/i.exec(address || '');
+        if (match) domains.add(match[1].toLowerCase());
+      }
+    }
+    return [...domains];
+  }
+
+  /**
+   * The organisation part of a domain (mail.marcone.com → marcone.com,
+   * billing.vendor.co.uk → vendor.co.uk)
+   */
+  function getRegistrableDomain(domain) {
+    const labels = domain.split('.');
+    const count = labels.length > 2 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3 ? 3 : 2;
+    return labels.slice(-count).join('.');
+  }
+
+  /**
+   * Sender domains a processor's match rule expects: from-domain conditions and
+   * from contains/equals values that name an address or domain (negated
+   * conditions are skipped)
+   */
+  function getProcessorSenderDomains(processor) {
+    const domains = new Set();
+    const walk = node => {
+      if (!node) return;
+      if (node.type === 'all' || node.type === 'any') {
+        node.children.forEach(walk);
+      } else if (node.type === 'condition' && node.field === 'from') {
+        const value = node.expected.toLowerCase();
+        if (node.op === 'domain') {
+          domains.add(value.replace(/^@/, ''));
+        } else if (['contains', 'equals'].includes(node.op)) {
+          const match = /(?:^|@)([a-z0-9-]+(?:\.[a-z0-9-]+)+)$/.exec(value.trim());
+          if (match) domains.add(match[1]);
+        }
+      }
+    };
+    walk(getProcessorMatchRule(processor).match);
+    return [...domains];
+  }
+
+  /**
+   * Suggests processors for an unmatched email by sender domain: processors
+   * whose rule names the same domain (or a parent/subdomain) first, then
+   * processors on the same organisation domain
+   *
+   * @param {Array<Object>} emails - The email and its forwarded originals
+   * @returns {Array<Object>} { processor, reason }
+   */
+  function suggestProcessors(emails) {
+    const senderDomains = getSenderDomains(emails);
+    const suggestions = [];
+
+    for (const processor of CONFIG.processors.filter(candidate => candidate.enabled)) {
+      let best = null;
+      for (const expected of getProcessorSenderDomains(processor)) {
+        for (const sender of senderDomains) {
+          if (sender === expected || sender.endsWith('.' + expected) || expected.endsWith('.' + sender)) {
+            best = { processor: processor.name, rank: 0, reason: `sender domain ${sender} matches ${expected}` };
+          } else if (!best && getRegistrableDomain(sender) === getRegistrableDomain(expected)) {
+            best = { processor: processor.name, rank: 1, reason: `sender domain ${sender} is related to ${expected}` };
+          }
+        }
+      }
+      if (best) suggestions.push(best);
+    }
+
+    return suggestions
+      .sort((a, b) => a.rank - b.rank)
+      .map(({ processor, reason }) => ({ processor, reason }));
+  }
+
+  /**
+   * Raw MIME for an email that arrived without one (webhook fields): rebuilt
+   * from the parsed fields with nodemailer so it can be replayed
+   */
+  async function composeRawEmail(parsed) {
+    const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const info = await composer.sendMail({
+      from: parsed.from?.text,
+      to: parsed.to?.text,
+      cc: parsed.cc?.text,
+      subject: parsed.subject,
+      date: parsed.date,
+      messageId: parsed.messageId,
+      text: parsed.text || undefined,
+      html: parsed.html || undefined,
+      attachments: (parsed.attachments || []).map(att => ({
+        filename: att.filename,
+        content: att.content,
+        contentType: att.contentType
+      }))
+    });
+    return info.message;
+  }
+
+  /**
+   * Stores an email no processor matched in UNMATCHED_DIR
+   *
+   * The entry ID is derived from the Message-ID (or the raw message), so the
+   * same email seen twice updates one entry. Failures are logged, never thrown.
+   *
+   * @param {Object} parsed - Parsed email
+   * @param {Object} details
+   * @param {Buffer|string} details.raw - Raw message (rebuilt when missing)
+   * @param {Array<Object>} details.attachments - Attachments found (including forwarded ones)
+   * @param {Array<Object>} details.embeddedMessages - Forwarded originals, for suggestions
+   * @param {Object} details.metadata - Where the email came from (sourceMailbox, source, ...)
+   * @param {Object} details.senderAuthProvider - Webhook provider verdict, for sender authentication on replay
+   * @returns {Promise<Object|null>} The stored entry
+   */
+  async function storeUnmatchedEmail(parsed, details) {
+    if (!CONFIG.unmatched.dir) return null;
+
+    try {
+      const raw = details.raw || await composeRawEmail(parsed);
+      const id = crypto.createHash('sha256').update(parsed.messageId || raw).digest('hex').substring(0, 16);
+      const metaPath = path.join(CONFIG.unmatched.dir, `${id}.json`);
+
+      let existing = null;
+      try {
+        existing = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const now = new Date().toISOString();
+      const entry = {
+        id,
+        status: 'pending',
+        storedAt: existing?.storedAt || now,
+        lastSeenAt: now,
+        source: details.metadata?.sourceMailbox || details.metadata?.source || 'unknown',
+        messageId: parsed.messageId || null,
+        date: parsed.date ? new Date(parsed.date).toISOString() : null,
+        from: parsed.from?.text || null,
+        to: parsed.to?.text || null,
+        subject: parsed.subject || null,
+        attachments: (details.attachments || []).map(att => ({
+          filename: att.filename || null,
+          contentType: att.contentType || null,
+          size: att.size ?? att.content?.length ?? null
+        })),
+        suggestions: suggestProcessors([parsed, ...(details.embeddedMessages || [])]),
+        senderAuthProvider: details.senderAuthProvider || null, // Webhook verdict, reused on replay
+        replays: existing?.replays || []
+      };
+
+      await fs.mkdir(CONFIG.unmatched.dir, { recursive: true });
+      await fs.writeFile(path.join(CONFIG.unmatched.dir, `${id}.eml`), raw);
+      await fs.writeFile(metaPath, JSON.stringify(entry, null, 2));
+
+      const suggested = entry.suggestions.map(suggestion => suggestion.processor).join(', ');
+      console.log(`  📥 Stored unmatched email ${id}${suggested ? ' (suggested: ' + suggested + ')' : ''}`);
+      return entry;
+    } catch (error) {
+      console.error('  ✗ Could not store unmatched email:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Entries in the unmatched store, oldest first
+   */
+  async function listUnmatchedEmails() {
+    let files;
+    try {
+      files = await fs.readdir(CONFIG.unmatched.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      entries.push(JSON.parse(await fs.readFile(path.join(CONFIG.unmatched.dir, file), 'utf8')));
+    }
+    return entries.sort((a, b) => a.storedAt.localeCompare(b.storedAt));
+  }
+
+  /**
+   * Sends the daily digest of newly stored unmatched emails to UNMATCHED_DIGEST_TO
+   *
+   * Runs once a day after UNMATCHED_DIGEST_HOUR (local time) when there are
+   * emails stored since the last digest.
+   *
+   * @param {Object} options
+   * @param {boolean} options.force - Send now regardless of the hour or the last digest
+   * @returns {Promise<number>} Emails listed (0 when nothing was sent)
+   */
+  async function sendUnmatchedDigest(options = {}) {
+    if (CONFIG.unmatched.digestTo.length === 0) return 0;
+
+    const now = new Date();
+    const state = await loadState();
+    const lastSentAt = state.unmatchedDigest?.lastSentAt || null;
+    const due = now.getHours() >= CONFIG.unmatched.digestHour &&
+      (!lastSentAt || new Date(lastSentAt).toDateString() !== now.toDateString());
+    if (!options.force && !due) return 0;
+
+    const pending = (await listUnmatchedEmails()).filter(entry => entry.status === 'pending');
+    const fresh = pending.filter(entry => !lastSentAt || entry.lastSeenAt > lastSentAt);
+    if (fresh.length === 0) return 0;
+
+    const formatSize = bytes => bytes === null ? '?' : (bytes / 1024).toFixed(0) + ' KB';
+    const messageList = fresh.map(entry => [
+      `- [${entry.id}] ${(entry.date || entry.storedAt).substring(0, 16).replace('T', ' ')}  From: ${entry.from || 'Unknown'}`,
+      `  Subject: ${entry.subject || '(none)'}`,
+      `  Attachments: ${entry.attachments.length > 0 ? entry.attachments.map(att => `${att.filename || 'unnamed'} (${formatSize(att.size)})`).join(', ') : 'none'}`,
+      `  Suggested: ${entry.suggestions.length > 0 ? entry.suggestions.map(s => `${s.processor} (${s.reason})`).join('; ') : 'no processor for this sender domain'}`
+    ].join('\n')).join('\n\n');
+
+    console.log(`\n📬 Sending unmatched email digest (${fresh.length} email(s))`);
+    const ok = await sendNotification('unmatched_digest', null, {
+      count: String(fresh.length),
+      pendingCount: String(pending.length),
+      since: lastSentAt ? lastSentAt.substring(0, 16).replace('T', ' ') : 'the start',
+      dir: path.resolve(CONFIG.unmatched.dir),
+      messageList
+    }, {
+      to: CONFIG.unmatched.digestTo,
+      headers: { 'Auto-Submitted': 'auto-generated' }
+    });
+
+    if (!ok) return 0;
+    state.unmatchedDigest = { lastSentAt: now.toISOString() };
+    await saveState();
+    return fresh.length;
+  }
+
+  /**
+   * Starts the hourly unmatched-digest check
+   */
+  function startUnmatchedDigestSchedule() {
+    if (CONFIG.unmatched.digestTo.length === 0) return;
+
+    unmatchedDigestTimer = setInterval(() => {
+      sendUnmatchedDigest().catch(error => console.error('❌ Unmatched digest failed:', error.message));
+    }, UNMATCHED_DIGEST_CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Stops the unmatched-digest check
+   */
+  function stopUnmatchedDigestSchedule() {
+    if (unmatchedDigestTimer) {
+      clearInterval(unmatchedDigestTimer);
+      unmatchedDigestTimer = null;
+    }
+  }
+
+  /**
+   * Runs stored unmatched emails through the pipeline again, e.g. once a
+   * NetSuite config record exists for the sender
+   *
+   * Processor configs are loaded first (PROCESSORS_FILE and NetSuite). Each replay is recorded on the entry;
+   * entries that still match no processor stay pending, and entries whose
+   * documents all completed are marked replayed. Vendor notifications are sent
+   * as for webhook email (every replay outcome is final).
+   *
+   * @param {Array<string>|string} ids - Entry IDs, or 'all' for every pending entry
+   * @param {Object} options
+   * @param {boolean} options.force - Ignore the dedup index (also DEDUP_OVERRIDE)
+   * @returns {Promise<Array<Object>>} { id, outcome, processor, attachments } per entry
+   */
+  async function replayUnmatchedEmails(ids, options = {}) {
+    if (CONFIG.processorFile.path) {
+      await loadProcessorFile();
+    }
+    await fetchNetSuiteConfigs();
+
+    const entries = await listUnmatchedEmails();
+    const selected = ids === 'all'
+      ? entries.filter(entry => entry.status === 'pending')
+      : [].concat(ids).map(id => entries.find(entry => entry.id === id) || { id, missing: true });
+
+    const results = [];
+    for (const entry of selected) {
+      if (entry.missing) {
+        console.log(`\n⚠️  No unmatched email ${entry.id} in ${CONFIG.unmatched.dir}`);
+        results.push({ id: entry.id, outcome: 'missing', processor: null, attachments: [] });
+        continue;
+      }
+
+      console.log(`\n📧 [unmatched] Replaying ${entry.id}`);
+      const raw = await fs.readFile(path.join(CONFIG.unmatched.dir, `${entry.id}.eml`));
+      const parsed = await simpleParser(raw);
+      const result = await processParsedEmail(parsed, {
+        metadata: { source: 'unmatched-replay', unmatchedId: entry.id },
+        raw,
+        force: options.force,
+        storeUnmatched: false,
+        senderAuthProvider: entry.senderAuthProvider || (entry.source === 'webhook' ? { name: 'webhook', results: null } : null)
+      });
+
+      if (['complete', 'no_documents', 'incomplete'].includes(result.outcome)) {
+        await notifyVendor(parsed, result.processor, result.outcome, result.attachments);
+      }
+
+      entry.replays.push({
+        at: new Date().toISOString(),
+        outcome: result.outcome,
+        processor: result.processor?.name || null
+      });
+      if (['complete', 'duplicate'].includes(result.outcome)) {
+        entry.status = 'replayed';
+      } else if (result.outcome !== 'unmatched') {
+        entry.status = 'replay_failed';
+      }
+      await fs.writeFile(path.join(CONFIG.unmatched.dir, `${entry.id}.json`), JSON.stringify(entry, null, 2));
+
+      console.log(`${entry.status === 'replayed' ? '✓' : '⚠️ '} [unmatched] ${entry.id}: ${result.outcome}${result.processor ? ' (' + result.processor.name + ')' : ''} → ${entry.status}`);
+      results.push({ id: entry.id, outcome: result.outcome, processor: result.processor?.name || null, attachments: result.attachments });
+    }
+
+    return results;
+  }
+
+  return {
+    storeUnmatchedEmail,
+    listUnmatchedEmails,
+    sendUnmatchedDigest,
+    startUnmatchedDigestSchedule,
+    stopUnmatchedDigestSchedule,
+    replayUnmatchedEmails
+  };
+}
+
+module.exports = { createUnmatchedStore };
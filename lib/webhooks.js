@@ -0,0 +1,222 @@
+/**
+ * Inbound-mail webhooks (Mailgun routes, SendGrid Inbound Parse)
+ *
+ * Verifies the providers' signatures and converts their form posts into the
+ * simpleParser shape the email pipeline uses. The /webhooks/:provider route
+ * itself is served by the HTTP API.
+ */
+
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+
+const WEBHOOK_PROVIDERS = ['mailgun', 'sendgrid'];
+
+/**
+ * Creates the webhook helpers for a worker configuration
+ *
+ * @param {Object} deps
+ * @param {Object} deps.CONFIG - Worker configuration (CONFIG.webhooks is read on every call)
+ * @param {Function} deps.parseAuthenticationResults - Authentication-Results parser from the sender-auth checks
+ * @returns {Object} { verifyInboundWebhook, getWebhookRawMime, getWebhookSenderAuth, parseInboundWebhook, isWebhookEnabled }
+ */
+function createWebhooks({ CONFIG, parseAuthenticationResults }) {
+  const seenWebhookTokens = new Map(); // Mailgun token → expiry (replay protection)
+
+  /**
+   * Verifies an inbound-mail webhook signature
+   *
+   * - Mailgun: HMAC-SHA256 of timestamp + token with the webhook signing key,
+   *   sent as the timestamp/token/signature form fields. Tokens are remembered
+   *   so a captured request cannot be replayed.
+   * - SendGrid: ECDSA (P-256, SHA-256) signature of timestamp + raw body in the
+   *   X-Twilio-Email-Event-Webhook-Signature/-Timestamp headers, checked
+   *   against the public key from the Inbound Parse security policy.
+   *
+   * Timestamps older than CONFIG.webhooks.maxAgeMs are rejected.
+   *
+   * @param {string} provider - mailgun or sendgrid
+   * @param {Object} request - { headers, fields, rawBody }
+   * @returns {Object} { valid, reason }
+   */
+  function verifyInboundWebhook(provider, { headers, fields, rawBody }) {
+    const now = Date.now();
+
+    if (provider === 'mailgun') {
+      const { timestamp, token, signature } = fields;
+      if (!timestamp || !token || !signature) {
+        return { valid: false, reason: 'missing timestamp/token/signature fields' };
+      }
+      if (Math.abs(now - parseInt(timestamp) * 1000) > CONFIG.webhooks.maxAgeMs) {
+        return { valid: false, reason: 'timestamp outside the allowed window' };
+      }
+
+      const expected = Buffer.from(crypto.createHmac('sha256', CONFIG.webhooks.mailgunSigningKey).update(timestamp + token).digest('hex'));
+      const given = Buffer.from(signature);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return { valid: false, reason: 'signature mismatch' };
+      }
+
+      for (const [seenToken, expiry] of seenWebhookTokens) {
+        if (expiry < now) seenWebhookTokens.delete(seenToken);
+      }
+      if (seenWebhookTokens.has(token)) {
+        return { valid: false, reason: 'token already used (replay)' };
+      }
+      seenWebhookTokens.set(token, now + CONFIG.webhooks.maxAgeMs);
+      return { valid: true };
+    }
+
+    if (provider === 'sendgrid') {
+      const signature = headers['x-twilio-email-event-webhook-signature'];
+      const timestamp = headers['x-twilio-email-event-webhook-timestamp'];
+      if (!signature || !timestamp) {
+        return { valid: false, reason: 'missing signature headers' };
+      }
+      if (Math.abs(now - parseInt(timestamp) * 1000) > CONFIG.webhooks.maxAgeMs) {
+        return { valid: false, reason: 'timestamp outside the allowed window' };
+      }
+
+      try {
+        const verified = crypto.verify(
+          'sha256',
+          Buffer.concat([Buffer.from(timestamp), rawBody]),
+          { key: Buffer.from(CONFIG.webhooks.sendgridPublicKey, 'base64'), format: 'der', type: 'spki' },
+          Buffer.from(signature, 'base64')
+        );
+        return verified ? { valid: true } : { valid: false, reason: 'signature mismatch' };
+      } catch (error) {
+        return { valid: false, reason: 'signature check failed: ' + error.message };
+      }
+    }
+
+    return { valid: false, reason: 'unknown provider ' + provider };
+  }
+
+  /**
+   * Returns the raw MIME message of a webhook payload, when the provider sent one
+   * (Mailgun "body-mime", SendGrid "email" with "POST the raw, full MIME message" on)
+   */
+  function getWebhookRawMime(provider, fields) {
+    return (provider === 'mailgun' ? fields['body-mime'] : fields.email) || null;
+  }
+
+  /**
+   * Sender authentication source for a webhook payload: the provider's own
+   * verdict, for checkSenderAuthentication()
+   *
+   * SendGrid's "SPF" and "dkim" fields come from SendGrid, outside the message,
+   * and the payload is signed - so unlike headers inside the message they
+   * cannot be forged by the sender. Mailgun posts no verdict outside the
+   * message; its mail is authenticated by a local DKIM check of "body-mime"
+   * (a MIME route) instead.
+   *
+   * @returns {Object} { name, results } - results in parseAuthenticationResults() shape, or null
+   */
+  function getWebhookSenderAuth(provider, fields) {
+    if (provider !== 'sendgrid') return { name: provider, results: null };
+
+    const results = [];
+    if (fields.SPF) {
+      // A malformed envelope only costs the smtp.mailfrom, as when it is absent
+      let envelope = {};
+      try {
+        envelope = fields.envelope ? JSON.parse(fields.envelope) : {};
+      } catch (error) {
+        console.warn(`  ⚠️  Ignoring malformed SendGrid envelope field: ${error.message}`);
+      }
+      results.push(`spf=${fields.SPF.toLowerCase()}${envelope.from ? ' smtp.mailfrom=' + envelope.from : ''}`);
+    }
+    // "{@marcone.com : pass, @sendgrid.net : pass}"
+    for (const match of String(fields.dkim || '').matchAll(/@([^\s:,{}]+)\s*:\s*(\w+)/g)) {
+      results.push(`dkim=${match[2].toLowerCase()} header.d=${match[1]}`);
+    }
+
+    return {
+      name: provider,
+      results: results.length > 0 ? parseAuthenticationResults('inbound-parse.sendgrid.net; ' + results.join('; ')) : null
+    };
+  }
+
+  /**
+   * Converts an inbound-mail webhook payload into the simpleParser shape used
+   * by the rest of the pipeline
+   *
+   * Raw MIME payloads are parsed as-is. Otherwise the provider's header block
+   * is parsed with simpleParser (so From/Subject/Date/Message-ID are decoded
+   * exactly as for IMAP mail) and the body fields and uploaded files are
+   * filled in. Sender authentication comes from getWebhookSenderAuth().
+   *
+   * @param {string} provider - mailgun or sendgrid
+   * @param {Object} fields - Form fields
+   * @param {Array<Object>} files - Uploaded files ({ fieldName, filename, contentType, content })
+   * @returns {Promise<Object>} Parsed email
+   */
+  async function parseInboundWebhook(provider, fields, files) {
+    const rawMime = getWebhookRawMime(provider, fields);
+    return rawMime ? simpleParser(rawMime) : parseWebhookFields(provider, fields, files);
+  }
+
+  /**
+   * Rebuilds a parsed email from a webhook's individual fields and files
+   */
+  async function parseWebhookFields(provider, fields, files) {
+    let headerBlock;
+    if (provider === 'mailgun' && fields['message-headers']) {
+      headerBlock = JSON.parse(fields['message-headers'])
+        .map(([name, value]) => `${name}: ${value}`)
+        .join('\r\n');
+    } else if (provider === 'sendgrid' && fields.headers) {
+      headerBlock = fields.headers.trim();
+    } else {
+      // No header block - rebuild the essentials from the individual fields
+      const oneLine = value => String(value || '').replace(/[\r\n]+/g, ' ');
+      headerBlock = [
+        `From: ${oneLine(fields.from || fields.sender)}`,
+        `To: ${oneLine(fields.to || fields.recipient)}`,
+        `Subject: ${oneLine(fields.subject)}`
+      ].join('\r\n');
+    }
+
+    // Body and attachments arrive separately, so drop the MIME structure headers
+    headerBlock = headerBlock
+      .split(/\r?\n(?![ \t])/)
+      .filter(line => !/^content-(type|transfer-encoding):/i.test(line))
+      .join('\r\n');
+
+    const parsed = await simpleParser(headerBlock + '\r\n\r\n');
+    const attachmentFields = provider === 'mailgun' ? /^attachment-\d+$/ : /^attachment\d+$/;
+
+    parsed.text = (provider === 'mailgun' ? fields['body-plain'] : fields.text) || '';
+    parsed.html = (provider === 'mailgun' ? fields['body-html'] : fields.html) || false;
+    parsed.attachments = files
+      .filter(file => attachmentFields.test(file.fieldName))
+      .map(file => ({
+        type: 'attachment',
+        filename: file.filename,
+        contentType: file.contentType || 'application/octet-stream',
+        contentDisposition: 'attachment',
+        content: file.content,
+        size: file.content.length
+      }));
+
+    return parsed;
+  }
+
+  /**
+   * Whether the webhook route for a provider is configured
+   */
+  function isWebhookEnabled(provider) {
+    return (provider === 'mailgun' && !!CONFIG.webhooks.mailgunSigningKey) ||
+      (provider === 'sendgrid' && !!CONFIG.webhooks.sendgridPublicKey);
+  }
+
+  return {
+    verifyInboundWebhook,
+    getWebhookRawMime,
+    getWebhookSenderAuth,
+    parseInboundWebhook,
+    isWebhookEnabled
+  };
+}
+
+module.exports = { WEBHOOK_PROVIDERS, createWebhooks };
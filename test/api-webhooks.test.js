@@ -0,0 +1,123 @@
+/**
+ * Webhook emails: spooled to disk before the 200 and retried like IMAP mail
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApi } = require('../lib/api');
+const mailgun = require('./fixtures/mailgun-inbound.json');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-webhooks-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Creates the API with an in-memory state file and a scripted pipeline
+ *
+ * @param {Array<Function>} attempts - processParsedEmail() for each call in turn
+ */
+function createApiFixture(t, attempts, state = {}) {
+  const notified = [];
+  const calls = [];
+  const CONFIG = {
+    api: { port: 0, host: '127.0.0.1', token: 'test-token', maxFiles: 10, jobRetentionMs: 60000 },
+    webhooks: { maxBodyBytes: 1024 * 1024, spoolDir: path.join(tempDir, 'spool') },
+    polling: { maxEmailAttempts: 3, retryDelayMs: 60000 }
+  };
+  const api = createApi({
+    CONFIG,
+    webhooks: {
+      isWebhookEnabled: () => true,
+      verifyInboundWebhook: () => ({ valid: true }),
+      parseInboundWebhook: async (provider, fields) => ({ subject: fields.subject, messageId: '<cm-1042@marcone.com>', attachments: [] }),
+      getWebhookRawMime: () => null,
+      getWebhookSenderAuth: () => null
+    },
+    processParsedEmail: async (parsed, options) => {
+      calls.push(options);
+      return attempts[calls.length - 1](options);
+    },
+    notifyVendor: async (parsed, processor, outcome) => notified.push(outcome),
+    loadState: async () => state,
+    saveState: async () => {},
+    COMPLETE_ATTACHMENT_STATUSES: ['uploaded', 'duplicate']
+  });
+  t.after(api.stopApiServer);
+  return { ...api, CONFIG, state, calls, notified };
+}
+
+const marcone = { name: 'marcone_credits' };
+const failedUpload = async ({ prepareUpload }) => {
+  const { onUploaded } = await prepareUpload();
+  await onUploaded('sha-cm-1042');
+  return {
+    outcome: 'incomplete',
+    processor: marcone,
+    attachments: [
+      { filename: 'CM-1042.pdf', status: 'uploaded' },
+      { filename: 'CM-1043.pdf', status: 'upload_failed' }
+    ]
+  };
+};
+const completedUpload = async ({ prepareUpload }) => {
+  const { alreadyUploaded } = await prepareUpload();
+  assert.deepEqual(alreadyUploaded, ['sha-cm-1042']);
+  return { outcome: 'complete', processor: marcone, attachments: [{ filename: 'CM-1043.pdf', status: 'uploaded' }] };
+};
+
+test('an accepted email is spooled and retried until its documents complete', async (t) => {
+  const api = createApiFixture(t, [failedUpload, completedUpload]);
+  const server = await api.startApiServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const response = await fetch(baseUrl + '/webhooks/mailgun', {
+    method: 'POST',
+    headers: mailgun.headers,
+    body: mailgun.rawBody
+  });
+  assert.equal(response.status, 200);
+  const { jobId } = await response.json();
+  const spoolPath = path.join(api.CONFIG.webhooks.spoolDir, `${jobId}.body`);
+  assert.equal(fs.readFileSync(spoolPath, 'utf8'), mailgun.rawBody);
+
+  // First attempt: one PDF uploaded, the other failed - the email stays on the retry list
+  assert.equal(await api.retryWebhookEmails(), 0);
+  assert.equal(api.calls.length, 1);
+  const pending = api.state.webhooks.pending[jobId];
+  assert.equal(pending.attempts, 1);
+  assert.deepEqual(pending.uploaded, ['sha-cm-1042']);
+  assert.equal(pending.lastError, 'CM-1043.pdf: upload_failed');
+  assert.deepEqual(api.notified, []);
+
+  const job = await (await fetch(`${baseUrl}/api/jobs/${jobId}`, { headers: { authorization: 'Bearer test-token' } })).json();
+  assert.equal(job.status, 'retrying');
+
+  // Once the retry delay has passed, the second attempt skips the uploaded PDF and completes
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 60000);
+  assert.equal(await api.retryWebhookEmails(), 1);
+  assert.deepEqual(api.state.webhooks.pending, {});
+  assert.equal(fs.existsSync(spoolPath), false);
+  assert.deepEqual(api.notified, ['complete']);
+});
+
+test('an email spooled by an earlier run is processed again, and an unusable spool file is dropped', async (t) => {
+  fs.mkdirSync(path.join(tempDir, 'spool'), { recursive: true });
+  fs.writeFileSync(path.join(tempDir, 'spool', 'job-stranded.body'), mailgun.rawBody);
+  const entry = { provider: 'mailgun', contentType: mailgun.headers['content-type'], attempts: 1, uploaded: ['sha-cm-1042'], nextAttemptAt: null };
+  const state = { webhooks: { pending: { 'job-stranded': entry, 'job-missing': { ...entry, uploaded: [] } } } };
+  const api = createApiFixture(t, [completedUpload], state);
+
+  assert.equal(await api.retryWebhookEmails(), 2);
+  assert.equal(api.calls.length, 1);
+  assert.equal(api.calls[0].metadata.jobId, 'job-stranded');
+  assert.deepEqual(state.webhooks.pending, {});
+  assert.deepEqual(fs.readdirSync(path.join(tempDir, 'spool')), []);
+});
@@ -0,0 +1,108 @@
+/**
+ * checkForNewEmails(): the UID checkpoint and the retry list
+ *
+ * The PDFs are corrupt, so pre-flight fails them (pdf_corrupt) before any
+ * Claude call and the email goes on the retry list.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockImap, createEmail } = require('./helpers/imap');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-poller-test-'));
+process.env.STATE_FILE = path.join(tempDir, 'poller-state.json');
+process.env.OUTPUT_DIR = path.join(tempDir, 'processed-pdfs');
+process.env.RESULTS_DIR = path.join(tempDir, 'results');
+process.env.UNMATCHED_DIR = '';
+process.env.NETSUITE_SNAPSHOT_FILE = '';
+process.env.IMAP_USER = 'ap@ourco.com';
+process.env.IMAP_HOST = 'imap.ourco.com';
+process.env.ANTHROPIC_API_KEY = 'test-key';
+process.env.ANTHROPIC_BASE_URL = 'http://127.0.0.1:1';
+process.env.MAX_EMAIL_ATTEMPTS = '2';
+
+// The poller logs every step; keep the test runner's output to the results
+test.mock.method(console, 'log', () => {});
+
+const { checkForNewEmails, CONFIG } = require('../email-poller');
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * A source of its own per test, so each starts without a checkpoint
+ */
+const sourceFor = mailbox => ({ ...CONFIG.sources[0], name: mailbox, mailbox });
+
+const readMailboxState = source =>
+  JSON.parse(fs.readFileSync(process.env.STATE_FILE, 'utf8')).mailboxes[`${source.imap.user}@${source.imap.host}/${source.mailbox}`];
+
+const marconeEmail = subject => createEmail({
+  from: 'no-replies@marcone.com',
+  subject: `Credits processed by Marcone for 2684000 - ${subject}`,
+  attachments: [{ filename: 'CM-1042.pdf', contentType: 'application/pdf', content: '%PDF-1.4 truncated' }]
+});
+
+const fetches = (imap, uid) => imap.calls.filter(([method, fetched]) => method === 'fetch' && fetched === uid).length;
+
+test('an email on the retry list is not attempted again before EMAIL_RETRY_DELAY_MS has passed', async (t) => {
+  const source = sourceFor('RetryDelay');
+  const imap = createMockImap({ 1: marconeEmail('retry delay') });
+  const delay = 15 * 60 * 1000;
+  const retryDelayMs = CONFIG.polling.retryDelayMs;
+  CONFIG.polling.retryDelayMs = delay;
+  t.after(() => {
+    CONFIG.polling.retryDelayMs = retryDelayMs;
+  });
+
+  const start = Date.now();
+  const first = await checkForNewEmails(imap, source);
+  assert.deepEqual(first.results.map(result => [result.uid, result.outcome]), [[1, 'retry']]);
+  assert.equal(first.pendingRetries, 1);
+  assert.ok(first.nextRetryAt >= start + delay && first.nextRetryAt <= Date.now() + delay);
+  assert.equal(readMailboxState(source).lastUid, 1);
+
+  const early = await checkForNewEmails(imap, source);
+  assert.deepEqual(early.results, []);
+  assert.equal(early.pendingRetries, 1);
+  assert.equal(early.nextRetryAt, first.nextRetryAt);
+  assert.equal(fetches(imap, 1), 1);
+
+  t.mock.method(Date, 'now', () => first.nextRetryAt);
+  const due = await checkForNewEmails(imap, source);
+  assert.deepEqual(due.results.map(result => [result.uid, result.outcome]), [[1, 'failed']]);
+  assert.equal(due.pendingRetries, 0);
+  assert.equal(fetches(imap, 1), 2);
+});
+
+test('a failing email does not hold back the checkpoint and is filed as failed after MAX_EMAIL_ATTEMPTS', async (t) => {
+  const source = sourceFor('FetchError');
+  const imap = createMockImap({
+    1: marconeEmail('fetch error'),
+    2: marconeEmail('after the fetch error')
+  }, { failFetch: [1] });
+  const retryDelayMs = CONFIG.polling.retryDelayMs;
+  CONFIG.polling.retryDelayMs = 0;
+  t.after(() => {
+    CONFIG.polling.retryDelayMs = retryDelayMs;
+  });
+
+  const first = await checkForNewEmails(imap, source);
+  assert.deepEqual(first.results.map(result => [result.uid, result.outcome]), [[1, 'retry'], [2, 'retry']]);
+  assert.match(first.results[0].error, /fetch failed for UID 1/);
+  assert.equal(readMailboxState(source).lastUid, 2);
+  assert.deepEqual(Object.keys(readMailboxState(source).pending), ['1', '2']);
+
+  const second = await checkForNewEmails(imap, source);
+  assert.deepEqual(second.results.map(result => [result.uid, result.outcome]), [[1, 'failed'], [2, 'failed']]);
+  assert.equal(second.pendingRetries, 0);
+  assert.equal(readMailboxState(source).lastUid, 2);
+  assert.deepEqual(readMailboxState(source).pending, {});
+
+  // Only UIDs above the checkpoint are searched for now
+  const third = await checkForNewEmails(imap, source);
+  assert.deepEqual(third.results, []);
+  assert.deepEqual(imap.calls.filter(([method]) => method === 'search').at(-1), ['search', [['UID', '3:*']]]);
+});
@@ -0,0 +1,80 @@
+/**
+ * Drop-folder source: claiming files and where they end up
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDropFolder } = require('../lib/drop-folder');
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+/**
+ * Creates a drop folder in a temp directory with a "tribles_credit_memo" subfolder
+ */
+function createDropFolderFixture(t, processSubmittedFiles) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drop-folder-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'tribles_credit_memo'));
+
+  const CONFIG = { dropFolder: { dir, pollIntervalMs: 60000, settleMs: 0, workerId: 'worker-a' } };
+  const dropFolder = createDropFolder({
+    CONFIG,
+    findProcessorByName: name => (name === 'tribles_credit_memo' ? { name } : null),
+    processSubmittedFiles,
+    isShuttingDown: () => false
+  });
+  return { dir, ...dropFolder };
+}
+
+test('a file whose processing throws is filed in failed/ with the error', async (t) => {
+  const { dir, checkDropFolder } = createDropFolderFixture(t, async () => {
+    throw new Error('NetSuite upload failed: socket hang up');
+  });
+  fs.writeFileSync(path.join(dir, 'tribles_credit_memo', 'CM-77120.pdf'), '%PDF-1.4');
+
+  const results = await checkDropFolder();
+  assert.deepEqual(results, [{ file: path.join('tribles_credit_memo', 'CM-77120.pdf'), outcome: 'failed', attachments: [] }]);
+
+  const failed = fs.readdirSync(path.join(dir, 'failed'));
+  assert.equal(failed.length, 2);
+  const errorFile = failed.find(name => name.endsWith('.error.json'));
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'failed', errorFile), 'utf8')).error, 'NetSuite upload failed: socket hang up');
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'tribles_credit_memo', '.processing', 'worker-a')), []);
+});
+
+test('a processed file is moved to done/', async (t) => {
+  const { dir, checkDropFolder } = createDropFolderFixture(t, async () => ({ outcome: 'processed', attachments: [] }));
+  fs.writeFileSync(path.join(dir, 'tribles_credit_memo', 'CM-77121.pdf'), '%PDF-1.4');
+
+  const results = await checkDropFolder();
+  assert.deepEqual(results.map(result => result.outcome), ['processed']);
+  assert.match(fs.readdirSync(path.join(dir, 'done'))[0], /_CM-77121\.pdf$/);
+});
+
+test('on startup a worker takes back only the files it claimed itself', async (t) => {
+  let processed;
+  const done = new Promise(resolve => {
+    processed = resolve;
+  });
+  const { dir, startDropFolderWatch, stopDropFolderWatch } = createDropFolderFixture(t, async files => {
+    processed(files.map(file => file.filename));
+    return { outcome: 'processed', attachments: [] };
+  });
+  t.after(stopDropFolderWatch);
+
+  const subfolder = path.join(dir, 'tribles_credit_memo');
+  fs.mkdirSync(path.join(subfolder, '.processing', 'worker-a'), { recursive: true });
+  fs.mkdirSync(path.join(subfolder, '.processing', 'worker-b'), { recursive: true });
+  fs.writeFileSync(path.join(subfolder, '.processing', 'worker-a', 'stranded.pdf'), '%PDF-1.4');
+  fs.writeFileSync(path.join(subfolder, '.processing', 'worker-b', 'in-progress.pdf'), '%PDF-1.4');
+
+  await startDropFolderWatch();
+  assert.deepEqual(await done, ['stranded.pdf']);
+  assert.deepEqual(fs.readdirSync(path.join(subfolder, '.processing', 'worker-b')), ['in-progress.pdf']);
+});
@@ -0,0 +1,113 @@
+/**
+ * In-memory stand-in for a connected node-imap client, and a builder for
+ * the raw messages it serves
+ */
+
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+
+/**
+ * Creates a mock IMAP client serving one mailbox
+ *
+ * @param {Object} messages - Raw messages keyed by UID
+ * @param {Object} options - { uidValidity, failFetch: UIDs whose fetch emits an error }
+ * @returns {Object} Client with the methods checkForNewEmails() uses, plus
+ *   calls - every call made, as [method, ...args]
+ */
+function createMockImap(messages, { uidValidity = 7, failFetch = [] } = {}) {
+  const calls = [];
+  const reply = (callback, ...args) => setImmediate(() => callback(...args));
+
+  return {
+    calls,
+    openBox(name, readOnly, callback) {
+      calls.push(['openBox', name]);
+      reply(callback, null, { messages: { total: Object.keys(messages).length, new: 0 }, uidvalidity: uidValidity });
+    },
+    search(criteria, callback) {
+      calls.push(['search', criteria]);
+      reply(callback, null, Object.keys(messages).map(Number));
+    },
+    fetch(uid) {
+      calls.push(['fetch', uid]);
+      const fetch = new EventEmitter();
+      setImmediate(() => {
+        if (failFetch.includes(uid)) {
+          fetch.emit('error', new Error(`fetch failed for UID ${uid}`));
+          return;
+        }
+        if (!messages[uid]) {
+          fetch.emit('end');
+          return;
+        }
+        const message = new EventEmitter();
+        fetch.emit('message', message, uid);
+        const stream = new PassThrough();
+        message.emit('body', stream, {});
+        stream.on('end', () => {
+          message.emit('end');
+          fetch.emit('end');
+        });
+        stream.end(Buffer.from(messages[uid]));
+      });
+      return fetch;
+    },
+    addFlags(uid, flags, callback) {
+      calls.push(['addFlags', uid, flags]);
+      reply(callback, null);
+    },
+    status(box, callback) {
+      calls.push(['status', box]);
+      reply(callback, new Error(`Mailbox ${box} does not exist`));
+    },
+    addBox(box, callback) {
+      calls.push(['addBox', box]);
+      reply(callback, null);
+    },
+    move(uid, box, callback) {
+      calls.push(['move', uid, box]);
+      reply(callback, null);
+    },
+    copy(uid, box, callback) {
+      calls.push(['copy', uid, box]);
+      reply(callback, null);
+    }
+  };
+}
+
+/**
+ * Builds a raw multipart email
+ *
+ * @param {Object} options - { from, subject, attachments: [{ filename, contentType, content }] }
+ * @returns {string}
+ */
+function createEmail({ from, subject, attachments = [] }) {
+  const boundary = 'test-boundary';
+  const lines = [
+    `From: ${from}`,
+    'To: ap@ourco.com',
+    `Subject: ${subject}`,
+    `Message-ID: <${subject.replace(/\W+/g, '-')}@test>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain',
+    '',
+    'See attached.'
+  ];
+  for (const attachment of attachments) {
+    lines.push(
+      `--${boundary}`,
+      `Content-Type: ${attachment.contentType}; name="${attachment.filename}"`,
+      `Content-Disposition: attachment; filename="${attachment.filename}"`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from(attachment.content).toString('base64')
+    );
+  }
+  lines.push(`--${boundary}--`, '');
+  return lines.join('\r\n');
+}
+
+module.exports = { createMockImap, createEmail };
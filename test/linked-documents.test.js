@@ -0,0 +1,26 @@
+/**
+ * Linked documents: filenames picked for downloads
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getDownloadFilename } = require('../email-poller');
+
+test('the Content-Disposition filename is used, decoded and without directories', () => {
+  const url = new URL('https://portal.vendor.example/download?id=42');
+
+  assert.equal(getDownloadFilename({ 'content-disposition': 'attachment; filename="CM-1042.pdf"' }, url), 'CM-1042.pdf');
+  assert.equal(getDownloadFilename({ 'content-disposition': "attachment; filename*=UTF-8''Credit%20memo%201042.pdf" }, url), 'Credit memo 1042.pdf');
+  assert.equal(getDownloadFilename({ 'content-disposition': 'attachment; filename="..%2F..%2Fstate.json"' }, url), 'state.json');
+});
+
+test('without Content-Disposition the last URL path segment is used', () => {
+  assert.equal(getDownloadFilename({}, new URL('https://portal.vendor.example/docs/Invoice%2088.pdf')), 'Invoice 88.pdf');
+  assert.equal(getDownloadFilename({}, new URL('https://portal.vendor.example/')), 'linked-document');
+});
+
+test('a malformed %-escape is kept as it is instead of throwing', () => {
+  assert.equal(getDownloadFilename({ 'content-disposition': 'attachment; filename="CM-100%.pdf"' }, new URL('https://portal.vendor.example/x')), 'CM-100%.pdf');
+  assert.equal(getDownloadFilename({}, new URL('https://portal.vendor.example/docs/100%zz.pdf')), '100%zz.pdf');
+});
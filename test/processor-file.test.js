@@ -0,0 +1,140 @@
+/**
+ * PROCESSORS_FILE: the shipped example, ${NAME} expansion and schema errors
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.MARCONE_PDF_FOLDER_ID;
+delete process.env.MARCONE_JSON_FOLDER_ID;
+
+const { readProcessorFile, CONFIG } = require('../email-poller');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'processor-file-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Points CONFIG.processorFile.path at a file for the duration of a test
+ */
+function useProcessorFile(t, file) {
+  const previous = CONFIG.processorFile.path;
+  CONFIG.processorFile.path = file;
+  t.after(() => {
+    CONFIG.processorFile.path = previous;
+  });
+}
+
+/**
+ * Writes a processors file into the temp directory and uses it
+ */
+function writeProcessorFile(t, name, content) {
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, content);
+  useProcessorFile(t, file);
+  return file;
+}
+
+test('processors.example.yaml loads as shipped, with no environment variables set', async (t) => {
+  useProcessorFile(t, path.join(__dirname, '..', 'processors.example.yaml'));
+  const { processors, files } = await readProcessorFile();
+
+  assert.deepEqual(processors.map(p => [p.name, p.enabled]), [
+    ['marcone_credits', true],
+    ['tribles_credit_memo', true],
+    ['ap_archive', false]
+  ]);
+
+  const [marcone, tribles, archive] = processors;
+  assert.equal(marcone.claudePrompt, fs.readFileSync(path.join(__dirname, '..', 'marcone-extraction-prompt.txt'), 'utf8'));
+  assert.deepEqual(marcone.netsuite, { pdfFolderId: '', jsonFolderId: '' });
+  assert.equal(tribles.priority, 5);
+  assert.deepEqual(tribles.attachments, { include: ['*.pdf'], exclude: ['*statement*'] });
+  assert.equal(archive.claudePrompt, null);
+  assert.deepEqual(files.map(file => path.basename(file)), [
+    'processors.example.yaml',
+    'marcone-extraction-prompt.txt',
+    'tribles-credit-memo-prompt.txt'
+  ]);
+});
+
+test('${NAME} takes the environment variable and ${NAME:-default} falls back when it is unset or empty', async (t) => {
+  process.env.TEST_PDF_FOLDER_ID = '4411';
+  process.env.TEST_EMPTY_FOLDER_ID = '';
+  t.after(() => {
+    delete process.env.TEST_PDF_FOLDER_ID;
+    delete process.env.TEST_EMPTY_FOLDER_ID;
+  });
+  writeProcessorFile(t, 'env.json', JSON.stringify([{
+    name: 'env_vendor',
+    criteria: { from: 'ar@${TEST_VENDOR_DOMAIN:-vendor.example}' },
+    prompt: 'Extract the credit memo.',
+    netsuite: { pdfFolderId: '${TEST_PDF_FOLDER_ID}', jsonFolderId: '${TEST_EMPTY_FOLDER_ID:-4412}' }
+  }]));
+
+  const { processors: [processor] } = await readProcessorFile();
+  assert.equal(processor.criteria.from, 'ar@vendor.example');
+  assert.deepEqual(processor.netsuite, { pdfFolderId: '4411', jsonFolderId: '4412' });
+});
+
+test('an unset ${NAME} without a default is an error', async (t) => {
+  const file = writeProcessorFile(t, 'unset.yaml', [
+    '- name: unset_vendor',
+    '  prompt: Extract the credit memo.',
+    '  netsuite:',
+    '    pdfFolderId: ${TEST_UNSET_FOLDER_ID}'
+  ].join('\n'));
+
+  await assert.rejects(readProcessorFile(), {
+    message: `${file} is invalid:\n  - processors[0] (unset_vendor).netsuite.pdfFolderId: environment variable TEST_UNSET_FOLDER_ID is not set`
+  });
+});
+
+test('every schema problem in the file is reported together', async (t) => {
+  fs.writeFileSync(path.join(tempDir, 'empty-prompt.txt'), '  \n');
+  const file = writeProcessorFile(t, 'invalid.yaml', [
+    'processors:',
+    '  - name: typo_vendor',
+    '    prompt: Extract the credit memo.',
+    '    subjectContains: Credit memo',
+    '  - name: wrong_types',
+    '    enabled: "no"',
+    '    prompt: Extract the credit memo.',
+    '    netsuite: { pdfFolderId: [1] }',
+    '  - name: no_prompt',
+    '    criteria: { from: ar@vendor.example }',
+    '  - name: both_prompts',
+    '    prompt: Extract the credit memo.',
+    '    promptFile: empty-prompt.txt',
+    '  - name: both_prompts',
+    '    promptFile: empty-prompt.txt',
+    '  - name: missing_prompt_file',
+    '    promptFile: missing-prompt.txt',
+    '  - name: archive_only',
+    '    attachments: { extract: false }'
+  ].join('\n'));
+
+  const error = await readProcessorFile().catch(error => error);
+  assert.ok(error instanceof Error);
+  assert.deepEqual(error.message.split('\n'), [
+    `${file} is invalid:`,
+    '  - processors[0] (typo_vendor).subjectContains: unknown field (expected name, enabled, priority, criteria, match, prompt, promptFile, netsuite, attachments, requireSenderAuth, bodyIsDocument)',
+    '  - processors[1] (wrong_types).enabled: must be boolean (got string)',
+    '  - processors[1] (wrong_types).netsuite.pdfFolderId: must be string or number (got array)',
+    '  - processors[2] (no_prompt): needs prompt or promptFile (or attachments.extract: false)',
+    '  - processors[3] (both_prompts): set prompt or promptFile, not both',
+    '  - processors[4] (both_prompts).name: duplicate processor name "both_prompts"',
+    '  - processors[4] (both_prompts): prompt is empty',
+    `  - processors[5] (missing_prompt_file).promptFile: cannot read ${path.join(tempDir, 'missing-prompt.txt')} (ENOENT)`
+  ]);
+});
+
+test('a file that is not a list of processors is rejected', async (t) => {
+  const file = writeProcessorFile(t, 'object.yaml', 'marcone_credits:\n  prompt: Extract the credit memo.\n');
+
+  await assert.rejects(readProcessorFile(), {
+    message: `${file} must be a list of processors or { processors: [...] }`
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Sender authentication of IMAP mail: which Authentication-Results/ARC
+ * headers are believed, and when they authenticate the From domain
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simpleParser } = require('mailparser');
+const { PDFDocument } = require('@cantoo/pdf-lib');
+const { createEmail } = require('./helpers/imap');
+
+process.env.SENDER_AUTH_SERV_IDS = 'mx.ourco.com';
+process.env.UNMATCHED_DIR = '';
+
+const { checkSenderAuthentication, processParsedEmail, CONFIG } = require('../email-poller');
+
+/**
+ * Parses a minimal message from ar@tribles.com with extra header lines
+ */
+function message(...headers) {
+  return simpleParser([
+    ...headers,
+    'From: Tribles AR <ar@tribles.com>',
+    'To: ap@ourco.com',
+    'Subject: Credit memo',
+    '',
+    'See attached.'
+  ].join('\r\n'));
+}
+
+test('a trusted Authentication-Results header with an aligned DKIM pass authenticates', async () => {
+  const parsed = await message('Authentication-Results: mx.ourco.com; spf=softfail smtp.mailfrom=bounce@esp.example; dkim=pass header.d=tribles.com');
+  const verdict = await checkSenderAuthentication(parsed);
+
+  assert.equal(verdict.passed, true);
+  assert.equal(verdict.method, 'dkim');
+  assert.equal(verdict.source, 'authentication-results');
+  assert.equal(verdict.authServId, 'mx.ourco.com');
+});
+
+test('DMARC pass authenticates on its own', async () => {
+  const parsed = await message('Authentication-Results: mx.ourco.com; dmarc=pass header.from=tribles.com');
+  const verdict = await checkSenderAuthentication(parsed);
+
+  assert.equal(verdict.passed, true);
+  assert.equal(verdict.method, 'dmarc');
+});
+
+test('a header from any other authserv-id is ignored, even when it says pass', async () => {
+  const parsed = await message('Authentication-Results: mx.tribles.com; dkim=pass header.d=tribles.com; dmarc=pass');
+  const verdict = await checkSenderAuthentication(parsed);
+
+  assert.equal(verdict.passed, false);
+  assert.equal(verdict.reason, 'no trusted Authentication-Results header');
+});
+
+test('a DKIM pass for an unrelated domain does not authenticate the From domain', async () => {
+  const parsed = await message('Authentication-Results: mx.ourco.com; dkim=pass header.d=esp.example; spf=pass smtp.mailfrom=bounce@esp.example');
+  const verdict = await checkSenderAuthentication(parsed);
+
+  assert.equal(verdict.passed, false);
+  assert.equal(verdict.dkim, 'pass');
+  assert.equal(verdict.reason, 'no DMARC pass or aligned DKIM/SPF pass for tribles.com');
+});
+
+test('ARC results are used only from a trusted server, highest instance first', async () => {
+  const parsed = await message(
+    'ARC-Authentication-Results: i=1; mx.tribles.com; dmarc=pass',
+    'ARC-Authentication-Results: i=2; mx.ourco.com; spf=pass smtp.mailfrom=ar@tribles.com',
+    'Authentication-Results: mx.ourco.com; spf=fail smtp.mailfrom=list@forwarder.example'
+  );
+  const verdict = await checkSenderAuthentication(parsed);
+
+  assert.equal(verdict.passed, true);
+  assert.equal(verdict.method, 'spf');
+  assert.equal(verdict.source, 'arc');
+});
+
+test('without SENDER_AUTH_SERV_IDS no header is trusted', async (t) => {
+  const trusted = CONFIG.senderAuth.trustedAuthServIds;
+  CONFIG.senderAuth.trustedAuthServIds = [];
+  t.after(() => {
+    CONFIG.senderAuth.trustedAuthServIds = trusted;
+  });
+
+  const parsed = await message('Authentication-Results: mx.ourco.com; dmarc=pass header.from=tribles.com');
+  const verdict = await checkSenderAuthentication(parsed);
+
+  assert.equal(verdict.passed, false);
+  assert.equal(verdict.reason, 'SENDER_AUTH_SERV_IDS is not set');
+});
+
+test('documents fanned out to a processor that requires sender authentication quarantine the email', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const processors = CONFIG.processors;
+  CONFIG.processors = [
+    { name: 'tribles_ap', enabled: true, criteria: { from: 'tribles.com' }, claudePrompt: 'Extract the credit memo.', attachments: { alsoSendTo: ['tribles_audit'] } },
+    { name: 'tribles_audit', enabled: true, criteria: { from: 'audit.ourco.com' }, claudePrompt: 'Extract the credit memo.', requireSenderAuth: true }
+  ];
+  t.after(() => {
+    CONFIG.processors = processors;
+  });
+
+  const pdf = await PDFDocument.create();
+  pdf.addPage();
+  const parsed = await simpleParser(createEmail({
+    from: 'Tribles AR <ar@tribles.com>',
+    subject: 'Credit memo CM-77120',
+    attachments: [{ filename: 'CM-77120.pdf', contentType: 'application/pdf', content: Buffer.from(await pdf.save()) }]
+  }));
+
+  const result = await processParsedEmail(parsed, { force: true, storeUnmatched: false });
+  assert.equal(result.outcome, 'quarantined');
+  assert.equal(result.processor.name, 'tribles_ap');
+  assert.deepEqual(result.attachments, []);
+  assert.equal(result.senderAuth.reason, 'no trusted Authentication-Results header');
+});
@@ -0,0 +1,58 @@
+/**
+ * State file lock: one process writing STATE_FILE at a time
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-lock-test-'));
+process.env.STATE_FILE = path.join(tempDir, 'poller-state.json');
+
+const { acquireStateLock } = require('../email-poller');
+
+const lockPath = process.env.STATE_FILE + '.lock';
+const writeLock = owner => fs.writeFileSync(lockPath, JSON.stringify({ since: '2026-10-19T08:00:00.000Z', ...owner }));
+const readLock = () => JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+
+// A pid that has just exited (not running any more)
+const exitedPid = spawnSync(process.execPath, ['-e', '']).pid;
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  fs.rmSync(lockPath, { force: true });
+});
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('a command refuses to run while the worker holds the lock', async () => {
+  // The parent test runner stands in for a running worker
+  writeLock({ holder: 'worker', pid: process.ppid, host: os.hostname() });
+
+  await assert.rejects(acquireStateLock('--replay-unmatched command'), {
+    message: `State file ${process.env.STATE_FILE} is in use by the worker (pid ${process.ppid} on ${os.hostname()} since 2026-10-19T08:00:00.000Z) - stop it first`
+  });
+  assert.equal(readLock().holder, 'worker');
+});
+
+test('a lock left by a process that exited is taken over', async () => {
+  writeLock({ holder: 'worker', pid: exitedPid, host: os.hostname() });
+
+  await acquireStateLock('--replay-unmatched command');
+  assert.equal(readLock().holder, '--replay-unmatched command');
+  assert.equal(readLock().pid, process.pid);
+});
+
+test('a lock from another host stops a command but not the worker', async () => {
+  writeLock({ holder: 'worker', pid: 1, host: 'previous-container' });
+
+  await assert.rejects(acquireStateLock('--send-unmatched-digest command'), {
+    message: `State file ${process.env.STATE_FILE} is in use by the worker (pid 1 on previous-container since 2026-10-19T08:00:00.000Z) - ` +
+      `stop it first, or delete ${lockPath} if it is no longer running`
+  });
+
+  await acquireStateLock('worker');
+  assert.equal(readLock().host, os.hostname());
+});
@@ -0,0 +1,120 @@
+/**
+ * Inbound-mail webhooks: signature checks and payload parsing
+ *
+ * The fixtures are Mailgun route and SendGrid Inbound Parse posts in the
+ * providers' documented multipart format, signed with test keys (the
+ * Mailgun signing key and the SendGrid public key are in the fixture).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mailgun = require('./fixtures/mailgun-inbound.json');
+const sendgrid = require('./fixtures/sendgrid-inbound.json');
+
+process.env.MAILGUN_WEBHOOK_SIGNING_KEY = mailgun.signingKey;
+process.env.SENDGRID_WEBHOOK_PUBLIC_KEY = sendgrid.publicKey;
+process.env.SENDER_AUTH_SERV_IDS = 'mx.ourco.com';
+
+const {
+  verifyInboundWebhook,
+  parseInboundWebhook,
+  getWebhookSenderAuth,
+  checkSenderAuthentication
+} = require('../email-poller');
+const { readMultipartBody } = require('../lib/api');
+
+const SIGNED_AT = 1792300000 * 1000;
+
+/**
+ * Turns a fixture into the request verifyInboundWebhook() sees
+ */
+async function readFixture(fixture, rawBody = Buffer.from(fixture.rawBody)) {
+  const { fields, files } = await readMultipartBody(fixture.headers, rawBody, { maxFiles: 10, maxFileBytes: 1024 * 1024 });
+  return { headers: fixture.headers, fields, files, rawBody };
+}
+
+test('mailgun: a signed post verifies once, then is rejected as a replay', async (t) => {
+  t.mock.method(Date, 'now', () => SIGNED_AT + 60 * 1000);
+  const request = await readFixture(mailgun);
+
+  assert.deepEqual(verifyInboundWebhook('mailgun', request), { valid: true });
+  assert.deepEqual(verifyInboundWebhook('mailgun', request), { valid: false, reason: 'token already used (replay)' });
+});
+
+test('mailgun: a wrong signature or an old timestamp is rejected', async (t) => {
+  const request = await readFixture(mailgun);
+
+  t.mock.method(Date, 'now', () => SIGNED_AT);
+  const forged = { ...request, fields: { ...request.fields, token: 'f'.repeat(50) } };
+  assert.deepEqual(verifyInboundWebhook('mailgun', forged), { valid: false, reason: 'signature mismatch' });
+
+  Date.now.mock.mockImplementation(() => SIGNED_AT + 60 * 60 * 1000);
+  assert.deepEqual(verifyInboundWebhook('mailgun', request), { valid: false, reason: 'timestamp outside the allowed window' });
+});
+
+test('mailgun: the payload parses into the email shape', async () => {
+  const { fields, files } = await readFixture(mailgun);
+  const parsed = await parseInboundWebhook('mailgun', fields, files);
+
+  assert.equal(parsed.from.value[0].address, 'no-replies@marcone.com');
+  assert.equal(parsed.subject, 'Credits processed by Marcone for 2684000');
+  assert.equal(parsed.messageId, '<20261015182638.4F2A1C0042@mail-out.marcone.com>');
+  assert.match(parsed.text, /credit memo for account 2684000/);
+  assert.equal(parsed.attachments.length, 1);
+  assert.equal(parsed.attachments[0].filename, 'CM-1042.pdf');
+  assert.equal(parsed.attachments[0].content.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('mailgun: headers inside the message are not trusted as sender authentication', async () => {
+  const { fields, files } = await readFixture(mailgun);
+  const parsed = await parseInboundWebhook('mailgun', fields, files);
+
+  // The Authentication-Results header names our own authserv-id, but the
+  // sender wrote it - webhook mail never passed our receiving server
+  const verdict = await checkSenderAuthentication(parsed, null, getWebhookSenderAuth('mailgun', fields));
+  assert.equal(verdict.passed, false);
+  assert.equal(verdict.reason, 'no mailgun SPF/DKIM verdict and no raw MIME to verify DKIM');
+});
+
+test('sendgrid: a signed post verifies and a changed body does not', async (t) => {
+  t.mock.method(Date, 'now', () => SIGNED_AT + 60 * 1000);
+  const request = await readFixture(sendgrid);
+  assert.deepEqual(verifyInboundWebhook('sendgrid', request), { valid: true });
+
+  const tampered = await readFixture(sendgrid, Buffer.from(sendgrid.rawBody.replace('CM-77120.pdf', 'CM-77121.pdf')));
+  assert.deepEqual(verifyInboundWebhook('sendgrid', tampered), { valid: false, reason: 'signature mismatch' });
+
+  const unsigned = { ...request, headers: { 'content-type': sendgrid.headers['content-type'] } };
+  assert.deepEqual(verifyInboundWebhook('sendgrid', unsigned), { valid: false, reason: 'missing signature headers' });
+});
+
+test('sendgrid: the payload parses and its SPF/DKIM verdict authenticates the sender', async () => {
+  const { fields, files } = await readFixture(sendgrid);
+  const parsed = await parseInboundWebhook('sendgrid', fields, files);
+
+  assert.equal(parsed.from.value[0].address, 'ar@tribles.com');
+  assert.equal(parsed.subject, 'Credit memo CM-77120');
+  assert.equal(parsed.messageId, '<CAF7x2mQ1+credit-77120@mail.tribles.com>');
+  assert.deepEqual(parsed.attachments.map(att => att.filename), ['CM-77120.pdf']);
+
+  const provider = getWebhookSenderAuth('sendgrid', fields);
+  assert.equal(provider.results.authServId, 'inbound-parse.sendgrid.net');
+
+  const verdict = await checkSenderAuthentication(parsed, null, provider);
+  assert.equal(verdict.passed, true);
+  assert.equal(verdict.method, 'dkim');
+  assert.equal(verdict.source, 'webhook');
+});
+
+test('sendgrid: a malformed envelope field only drops smtp.mailfrom from the verdict', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { fields, files } = await readFixture(sendgrid);
+  const parsed = await parseInboundWebhook('sendgrid', fields, files);
+
+  const provider = getWebhookSenderAuth('sendgrid', { ...fields, envelope: '{"from": ar@tribles.com' });
+  assert.deepEqual(provider.results.results.spf, [{ result: 'pass', props: {} }]);
+
+  const verdict = await checkSenderAuthentication(parsed, null, provider);
+  assert.equal(verdict.passed, true);
+  assert.equal(verdict.method, 'dkim');
+});
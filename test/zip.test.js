@@ -0,0 +1,53 @@
+/**
+ * ZIP attachments: readZipEntries() limits (zip bomb guards)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createZip } = require('./helpers/zip');
+
+process.env.ZIP_MAX_ENTRIES = '3';
+process.env.ZIP_MAX_ENTRY_BYTES = '1000';
+process.env.ZIP_MAX_TOTAL_BYTES = '2500';
+
+const { readZipEntries } = require('../email-poller');
+
+const bytes = (count, fill = 'a') => Buffer.alloc(count, fill);
+
+test('file entries are unpacked and directories skipped', async () => {
+  const zip = createZip([
+    { name: 'March/' },
+    { name: 'March/CM-1.pdf', content: Buffer.from('%PDF-1.4 one') },
+    { name: 'CM-2.pdf', content: Buffer.from('%PDF-1.4 two') }
+  ]);
+
+  const entries = await readZipEntries(zip);
+  assert.deepEqual(entries.map(entry => [entry.path, entry.content.toString()]), [
+    ['March/CM-1.pdf', '%PDF-1.4 one'],
+    ['CM-2.pdf', '%PDF-1.4 two']
+  ]);
+});
+
+test('an archive with more than ZIP_MAX_ENTRIES entries is rejected', async () => {
+  const zip = createZip(['a', 'b', 'c', 'd'].map(name => ({ name: name + '.pdf', content: bytes(10) })));
+  await assert.rejects(readZipEntries(zip), { message: 'archive has 4 entries (limit 3)' });
+});
+
+test('an entry declared over ZIP_MAX_ENTRY_BYTES is rejected before inflating', async () => {
+  const zip = createZip([{ name: 'big.pdf', content: bytes(1001) }]);
+  await assert.rejects(readZipEntries(zip), { message: 'entry big.pdf is 1001 bytes (limit 1000)' });
+});
+
+test('entries that together inflate past ZIP_MAX_TOTAL_BYTES are rejected', async () => {
+  const zip = createZip(['a', 'b', 'c'].map(name => ({ name: name + '.pdf', content: bytes(900) })));
+  await assert.rejects(readZipEntries(zip), { message: 'archive expands past 2500 bytes' });
+});
+
+test('an entry that inflates to more than its declared size is rejected', async () => {
+  const zip = createZip([{ name: 'liar.pdf', content: bytes(5000), declaredSize: 100 }]);
+  await assert.rejects(readZipEntries(zip), /too many bytes in the stream/);
+});
+
+test('a file that is not a ZIP is rejected', async () => {
+  await assert.rejects(readZipEntries(Buffer.from('%PDF-1.4 not a zip')));
+});